@@ -0,0 +1,213 @@
+import fs from 'node:fs'
+import path from 'node:path'
+import { readWorkspaceLines } from './source.js'
+
+const MAX_RESULT_BYTES = 16 * 1024
+const MAX_READ_LINES = 400
+const MAX_GREP_MATCHES = 100
+const MAX_GREP_FILES = 5000
+const MAX_GREP_FILE_BYTES = 1024 * 1024
+const MAX_GREP_SCANNED_BYTES = 32 * 1024 * 1024
+const MAX_GREP_LINE_CHARS = 300
+const MAX_LIST_ENTRIES = 500
+const SKIPPED_DIRECTORIES = new Set(['.git', 'node_modules'])
+
+// Provider-neutral definitions; every parameter is required (nullable when optional) so they
+// also satisfy strict function schemas
+export const REPOSITORY_TOOL_DEFINITIONS = [
+  {
+    name: 'read_file',
+    description: `Read a repository file at the pull request head. Lines are prefixed with their line numbers; at most ${MAX_READ_LINES} lines are returned per call.`,
+    parameters: {
+      type: 'object',
+      properties: {
+        path: { type: 'string', description: 'Repository-relative file path' },
+        start_line: { type: ['integer', 'null'], description: 'First line to read (1-based), or null for the start of the file' },
+        end_line: { type: ['integer', 'null'], description: 'Last line to read, or null for the end of the file' },
+      },
+      required: ['path', 'start_line', 'end_line'],
+      additionalProperties: false,
+    },
+  },
+  {
+    name: 'grep',
+    description: `Search repository files for a literal string (not a regular expression). Returns up to ${MAX_GREP_MATCHES} matches as path:line: text.`,
+    parameters: {
+      type: 'object',
+      properties: {
+        pattern: { type: 'string', description: 'Text to search for, matched literally and case-sensitively' },
+        path: { type: ['string', 'null'], description: 'Repository-relative directory to search, or null for the whole repository' },
+      },
+      required: ['pattern', 'path'],
+      additionalProperties: false,
+    },
+  },
+  {
+    name: 'list_dir',
+    description: 'List a repository directory. Directory names end with a slash.',
+    parameters: {
+      type: 'object',
+      properties: {
+        path: { type: ['string', 'null'], description: 'Repository-relative directory, or null for the repository root' },
+      },
+      required: ['path'],
+      additionalProperties: false,
+    },
+  },
+]
+
+function cap(text, maxBytes) {
+  if (Buffer.byteLength(text) <= maxBytes) return { text, truncated: false }
+  return { text: `${Buffer.from(text).subarray(0, maxBytes).toString('utf8')}\n[...output truncated...]`, truncated: true }
+}
+
+// Read-only tools over the checked-out workspace. Paths (after resolving symlinks) must stay inside
+// the workspace, and sensitive and excluded files are neither listed, searched nor read. `isExcluded`
+// is called with a trailing slash for directories. Every call is recorded in `transcript`, and
+// outputs stop once `maxBytes` have been returned in total.
+export function createRepositoryTools({ workspaceDir, isSensitiveFile, isExcluded = () => false, redact = text => text, maxBytes }) {
+  const root = fs.realpathSync(path.resolve(workspaceDir))
+  const transcript = []
+  let usedBytes = 0
+
+  const isHidden = (relative, directory) => isSensitiveFile(relative) || isExcluded(directory ? `${relative}/` : relative)
+
+  const resolve = (relative, { directory = false } = {}) => {
+    const normalized = path.posix.normalize(String(relative ?? '.').replace(/\\/g, '/')).replace(/^\/+/, '')
+    if (normalized !== '.' && isSensitiveFile(normalized)) throw new Error(`${normalized} is a sensitive file`)
+    if (normalized !== '.' && isHidden(normalized, directory)) throw new Error(`${normalized} is excluded from the review`)
+
+    let fullPath
+    try {
+      fullPath = fs.realpathSync(path.resolve(root, normalized))
+    } catch {
+      throw new Error(`${normalized} does not exist`)
+    }
+    if (fullPath !== root && !fullPath.startsWith(`${root}${path.sep}`)) {
+      throw new Error(`${normalized} is outside the repository`)
+    }
+    const stat = fs.statSync(fullPath)
+    if (directory && !stat.isDirectory()) throw new Error(`${normalized} is not a directory`)
+    if (!directory && !stat.isFile()) throw new Error(`${normalized} is not a file`)
+    // A symlink can point into an excluded path
+    const resolved = path.relative(root, fullPath).split(path.sep).join('/') || '.'
+    if (resolved !== '.' && isHidden(resolved, directory)) throw new Error(`${normalized} is excluded from the review`)
+    return { fullPath, relative: resolved }
+  }
+
+  const readFile = ({ path: file, start_line: start, end_line: end }) => {
+    const { relative } = resolve(file)
+    const lines = readWorkspaceLines(root, relative, { isSensitiveFile })
+    if (!lines) throw new Error(`${relative} could not be read (files over 1 MB are skipped)`)
+
+    const first = Number.isInteger(start) && start > 0 ? start : 1
+    const last = Math.min(lines.length, Number.isInteger(end) && end >= first ? end : lines.length, first + MAX_READ_LINES - 1)
+    if (first > lines.length) throw new Error(`${relative} has only ${lines.length} lines`)
+    const body = lines
+      .slice(first - 1, last)
+      .map((line, i) => `${first + i}: ${line}`)
+      .join('\n')
+    return `${relative} (lines ${first}-${last} of ${lines.length})\n${body}`
+  }
+
+  // A literal search: a model-chosen regular expression could backtrack for minutes on one line and
+  // block the job, since nothing can interrupt a synchronous match
+  const grep = ({ pattern, path: dir }) => {
+    const needle = String(pattern ?? '')
+    if (!needle) throw new Error('the search text is empty')
+
+    const { fullPath: start } = resolve(dir, { directory: true })
+    const matches = []
+    const pending = [start]
+    let scanned = 0
+    let scannedBytes = 0
+    // One search reads at most MAX_GREP_FILES files and MAX_GREP_SCANNED_BYTES bytes, then stops
+    const limited = () =>
+      matches.length >= MAX_GREP_MATCHES || scanned >= MAX_GREP_FILES || scannedBytes >= MAX_GREP_SCANNED_BYTES
+    while (pending.length && !limited()) {
+      const current = pending.pop()
+      for (const entry of fs.readdirSync(current, { withFileTypes: true }).sort((a, b) => b.name.localeCompare(a.name))) {
+        if (entry.isSymbolicLink() || SKIPPED_DIRECTORIES.has(entry.name)) continue
+        const full = path.join(current, entry.name)
+        const relative = path.relative(root, full).split(path.sep).join('/')
+        if (isHidden(relative, entry.isDirectory())) continue
+        if (entry.isDirectory()) {
+          pending.push(full)
+          continue
+        }
+        if (!entry.isFile()) continue
+        const { size } = fs.statSync(full)
+        if (size > MAX_GREP_FILE_BYTES) continue
+
+        scanned += 1
+        scannedBytes += size
+        const content = fs.readFileSync(full)
+        if (content.subarray(0, 8000).includes(0)) continue
+        const lines = content.toString('utf8').split('\n')
+        for (const [i, line] of lines.entries()) {
+          const text = line.slice(0, MAX_GREP_LINE_CHARS)
+          if (!text.includes(needle)) continue
+          matches.push(`${relative}:${i + 1}: ${text.trim()}`)
+          if (matches.length >= MAX_GREP_MATCHES) break
+        }
+        if (limited()) break
+      }
+    }
+
+    const notice = limited() ? '[...search stopped at its match, file or size limit; narrow the pattern or path...]' : ''
+    if (!matches.length) return notice ? `No matches in the files searched.\n${notice}` : 'No matches.'
+    return `${matches.join('\n')}${notice ? `\n${notice}` : ''}`
+  }
+
+  const listDir = ({ path: dir }) => {
+    const { fullPath, relative } = resolve(dir, { directory: true })
+    const entries = fs
+      .readdirSync(fullPath, { withFileTypes: true })
+      .filter(entry => entry.name !== '.git')
+      .filter(entry => !isHidden(relative === '.' ? entry.name : `${relative}/${entry.name}`, entry.isDirectory()))
+      .map(entry => (entry.isDirectory() ? `${entry.name}/` : entry.name))
+      .sort()
+    if (!entries.length) return `${relative} is empty.`
+    const shown = entries.slice(0, MAX_LIST_ENTRIES)
+    return `${shown.join('\n')}${entries.length > shown.length ? `\n[...${entries.length - shown.length} more entries...]` : ''}`
+  }
+
+  const handlers = { read_file: readFile, grep, list_dir: listDir }
+
+  // Never throws: failures are reported back to the model as the tool result
+  function run(name, rawArgs) {
+    const entry = { tool: name, arguments: rawArgs }
+    transcript.push(entry)
+
+    let args
+    try {
+      args = typeof rawArgs === 'string' ? JSON.parse(rawArgs || '{}') : rawArgs || {}
+      entry.arguments = args
+    } catch {
+      entry.error = 'arguments are not valid JSON'
+      return `Error: ${entry.error}`
+    }
+    if (!handlers[name]) {
+      entry.error = `unknown tool ${name}`
+      return `Error: ${entry.error}`
+    }
+    if (usedBytes >= maxBytes) {
+      entry.error = 'tool output budget exhausted'
+      return 'Error: the tool output budget is exhausted; give your final review with the information you have.'
+    }
+
+    let output
+    try {
+      output = redact(handlers[name](args))
+    } catch (error) {
+      entry.error = error.message
+      return `Error: ${error.message}`
+    }
+    const { text, truncated } = cap(output, Math.min(MAX_RESULT_BYTES, maxBytes - usedBytes))
+    usedBytes += Buffer.byteLength(text)
+    Object.assign(entry, { bytes: Buffer.byteLength(text), truncated, output: text })
+    return text
+  }
+
+  return { definitions: REPOSITORY_TOOL_DEFINITIONS, run, transcript, usedBytes: () => usedBytes }
+}
@@ -0,0 +1,75 @@
+import { normalizePath } from './severity.js'
+
+// GitHub accepts at most 50 annotations per check run create/update request
+const MAX_ANNOTATIONS_PER_REQUEST = 50
+const MAX_CHECK_SUMMARY_CHARS = 65000
+
+const ANNOTATION_LEVELS = {
+  info: 'notice',
+  low: 'notice',
+  medium: 'warning',
+  high: 'failure',
+  critical: 'failure',
+  security: 'failure',
+}
+
+export function getCheckConclusion(issues, isBlocking) {
+  return issues.some(isBlocking) ? 'failure' : 'success'
+}
+
+export function buildAnnotations(issues) {
+  return issues
+    .filter(issue => issue.file && issue.file !== 'unknown' && Number.isInteger(issue.line) && issue.line > 0)
+    .map(issue => ({
+      path: normalizePath(issue.file),
+      start_line: issue.line,
+      end_line: issue.line,
+      annotation_level: ANNOTATION_LEVELS[issue.severity] || 'notice',
+      title: `[${issue.severity.toUpperCase()}] ${issue.title}`.slice(0, 255),
+      message: issue.detail,
+      ...(issue.suggestion ? { raw_details: `Suggestion: ${issue.suggestion}` } : {}),
+    }))
+}
+
+function batch(items, size) {
+  const batches = []
+  for (let i = 0; i < items.length; i += size) {
+    batches.push(items.slice(i, i + size))
+  }
+  return batches
+}
+
+export async function publishCheckRun(octo, { owner, repo, headSha, name, conclusion, title, summary, annotations }) {
+  const [firstBatch = [], ...remainingBatches] = batch(annotations, MAX_ANNOTATIONS_PER_REQUEST)
+  const output = {
+    title,
+    summary:
+      summary.length > MAX_CHECK_SUMMARY_CHARS
+        ? `${summary.slice(0, MAX_CHECK_SUMMARY_CHARS)}\n\n[Summary truncated for size. See artifact for full report.]`
+        : summary,
+  }
+
+  // Keep the run in progress until every annotation batch is attached, then set the conclusion
+  const { data: checkRun } = await octo.checks.create({
+    owner,
+    repo,
+    name,
+    head_sha: headSha,
+    status: remainingBatches.length ? 'in_progress' : 'completed',
+    ...(remainingBatches.length ? {} : { conclusion, completed_at: new Date().toISOString() }),
+    output: { ...output, annotations: firstBatch },
+  })
+
+  for (const [i, annotationBatch] of remainingBatches.entries()) {
+    const isLast = i === remainingBatches.length - 1
+    await octo.checks.update({
+      owner,
+      repo,
+      check_run_id: checkRun.id,
+      ...(isLast ? { status: 'completed', conclusion, completed_at: new Date().toISOString() } : {}),
+      output: { ...output, annotations: annotationBatch },
+    })
+  }
+
+  return { id: checkRun.id, url: checkRun.html_url, annotations: annotations.length }
+}
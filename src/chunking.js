@@ -0,0 +1,212 @@
+import { SEVERITY_ORDER, highestRisk, issueIdentity } from './severity.js'
+
+function fileHeader(filename) {
+  return `\n--- a/${filename}\n+++ b/${filename}\n`
+}
+
+// Split one file patch into pieces that fit the budget, breaking on hunk boundaries where possible
+// and on line boundaries only when a single hunk is larger than the budget.
+function splitPatch(patch, maxChars) {
+  const hunks = []
+  for (const line of patch.split('\n')) {
+    if (line.startsWith('@@') || !hunks.length) hunks.push([])
+    hunks[hunks.length - 1].push(line)
+  }
+
+  const pieces = []
+  let current = ''
+  const flush = () => {
+    if (current) pieces.push(current)
+    current = ''
+  }
+  for (const hunkLines of hunks) {
+    const hunk = hunkLines.join('\n')
+    if (current && current.length + hunk.length + 1 > maxChars) flush()
+    if (hunk.length <= maxChars) {
+      current = current ? `${current}\n${hunk}` : hunk
+      continue
+    }
+    flush()
+    // Continuation pieces get a synthetic hunk header so line numbers stay meaningful to the model
+    const start = hunkLines[0].match(/^@@ -(\d+)(?:,\d+)? \+(\d+)/)
+    let oldLine = start ? parseInt(start[1], 10) : null
+    let newLine = start ? parseInt(start[2], 10) : null
+    for (const [i, line] of hunkLines.entries()) {
+      if (current && current.length + line.length + 1 > maxChars) {
+        flush()
+        if (start) current = `@@ -${oldLine} +${newLine} @@ (continued)`
+      }
+      current = current ? `${current}\n${line.slice(0, maxChars)}` : line.slice(0, maxChars)
+      if (!start || i === 0) continue
+      if (!line.startsWith('+')) oldLine += 1
+      if (!line.startsWith('-')) newLine += 1
+    }
+    flush()
+  }
+  flush()
+  return pieces
+}
+
+// Group file patches into review chunks that each fit within maxChunkChars.
+// Files stay together unless a single file is larger than the budget; later files are left out
+// (and reported) once maxChunks is reached rather than silently truncated.
+export function buildDiffChunks(files, { maxChunkChars, maxChunks }) {
+  const chunks = []
+  const splitFiles = []
+  const skippedFiles = []
+  let originalDiffChars = 0
+  let current = null
+
+  const startChunk = () => {
+    current = { diff: '', files: [] }
+    chunks.push(current)
+  }
+  const addSection = (filename, text) => {
+    if (current && current.diff.length + text.length > maxChunkChars) current = null
+    if (!current) {
+      if (chunks.length >= maxChunks) return false
+      startChunk()
+    }
+    current.diff += text
+    if (!current.files.includes(filename)) current.files.push(filename)
+    return true
+  }
+
+  for (const file of files) {
+    if (!file.patch) continue
+    const header = fileHeader(file.filename)
+    const section = `${header}${file.patch}\n`
+    originalDiffChars += section.length
+
+    if (section.length <= maxChunkChars) {
+      if (!addSection(file.filename, section)) skippedFiles.push(file.filename)
+      continue
+    }
+
+    // Oversized files get their own chunks so their hunks are reviewed together
+    current = null
+    const pieces = splitPatch(file.patch, Math.max(maxChunkChars - header.length - 1, 1))
+    let added = 0
+    for (const piece of pieces) {
+      if (!addSection(file.filename, `${header}${piece}\n`)) break
+      added += 1
+    }
+    if (added) splitFiles.push(file.filename)
+    if (added < pieces.length) skippedFiles.push(file.filename)
+  }
+
+  return {
+    chunks,
+    metadata: {
+      oversizedFiles: splitFiles,
+      skippedFiles,
+      diffCappedByBuilder: skippedFiles.length > 0,
+      originalDiffChars,
+      maxDiffChars: maxChunkChars,
+    },
+  }
+}
+
+// Coverage notes for the summary: which parts of the diff the review did not see, or saw in pieces
+export function formatDiffNotice(metadata) {
+  if (!metadata) return []
+
+  const notices = []
+  if (metadata.commitRange) {
+    notices.push(
+      `This review covers the ${metadata.commitRange.commits} commit(s) in ${metadata.commitRange.baseSha.slice(0, 7)}...${metadata.commitRange.headSha.slice(0, 7)}.`,
+    )
+  }
+  if (metadata.reviewScope === 'incremental') {
+    notices.push(
+      `Only the ${metadata.incrementalCommits} commit(s) pushed since the last reviewed commit ${metadata.incrementalBaseSha.slice(0, 7)} were reviewed; ${metadata.carriedForwardFindings} earlier finding(s) were carried forward.`,
+    )
+  }
+  if (metadata.fileListCapped) {
+    notices.push(
+      `Only the first ${metadata.fetchedFiles || metadata.maxReviewFiles} of ${metadata.totalChangedFiles} changed files were fetched for review.`,
+    )
+  }
+  if (metadata.totalChunks > 1) {
+    notices.push(`The ${metadata.originalDiffChars} character diff was reviewed in ${metadata.totalChunks} separate chunks.`)
+  }
+  if (metadata.skippedFiles?.length) {
+    notices.push(
+      `${metadata.skippedFiles.length} file diff(s) did not fit in ${metadata.maxReviewChunks} review chunk(s) of ${metadata.maxDiffChars} characters and were not reviewed.`,
+    )
+  }
+  if (metadata.budgetSkippedFiles?.length) {
+    notices.push(`${metadata.budgetSkippedFiles.length} file diff(s) were not reviewed to stay within the usage budget.`)
+  }
+  if (metadata.diffTruncated) {
+    notices.push(`At least one review chunk was truncated to ${metadata.maxDiffChars} characters.`)
+  }
+  if (metadata.oversizedFiles?.length) {
+    notices.push(`${metadata.oversizedFiles.length} oversized file diff(s) were split across review chunks.`)
+  }
+  if (metadata.redactions?.total) {
+    notices.push(`${metadata.redactions.total} likely secret value(s) were redacted before the review.`)
+  }
+  if (metadata.context?.skippedSections) {
+    notices.push(
+      `${metadata.context.skippedSections} surrounding-code section(s) did not fit in the ${metadata.context.maxContextChars} character context budget.`,
+    )
+  }
+
+  return notices
+}
+
+// Split a `git diff` into GitHub-style { filename, patch } entries so local and PR mode chunk the same way
+export function splitUnifiedDiff(rawDiff) {
+  const files = []
+  let current = null
+  for (const line of rawDiff.split('\n')) {
+    if (line.startsWith('diff --git ')) {
+      current = { filename: line.match(/ b\/(.+)$/)?.[1] || '', patch: null }
+      files.push(current)
+      continue
+    }
+    if (!current) continue
+    if (current.patch === null) {
+      const target = line.match(/^\+\+\+ b\/(.+)$/)
+      if (target) current.filename = target[1]
+      if (line.startsWith('@@')) current.patch = line
+      continue
+    }
+    current.patch += `\n${line}`
+  }
+  return files.filter(file => file.filename)
+}
+
+export async function mapWithConcurrency(items, limit, fn) {
+  const results = new Array(items.length)
+  let next = 0
+  const workers = Array.from({ length: Math.min(limit, items.length) }, async () => {
+    while (next < items.length) {
+      const index = next++
+      results[index] = await fn(items[index], index)
+    }
+  })
+  await Promise.all(workers)
+  return results
+}
+
+// Merge per-chunk reviews into one normalizeReview-shaped result, keeping the most severe copy of duplicates
+export function mergeChunkReviews(reviews) {
+  if (reviews.length === 1) return reviews[0]
+
+  const byIdentity = new Map()
+  for (const issue of reviews.flatMap(review => review.issues)) {
+    const key = issueIdentity(issue)
+    const existing = byIdentity.get(key)
+    if (!existing || SEVERITY_ORDER.indexOf(issue.severity) > SEVERITY_ORDER.indexOf(existing.severity)) {
+      byIdentity.set(key, issue)
+    }
+  }
+
+  return {
+    summary: reviews.map((review, i) => `Part ${i + 1}: ${review.summary}`).join('\n\n'),
+    overall_risk: highestRisk(reviews.map(review => review.overall_risk)),
+    issues: [...byIdentity.values()],
+  }
+}
@@ -0,0 +1,137 @@
+#!/usr/bin/env node
+// `ai-review` command line: review local changes with the same reviewer the action runs, or install a
+// git hook that does so before each commit or push
+import fs from 'node:fs'
+import path from 'node:path'
+import { execFileSync } from 'node:child_process'
+import { fileURLToPath } from 'node:url'
+import { parseArgs } from 'node:util'
+
+const HOOK_MARKER = '# installed by ai-review install-hook'
+const HOOKS = {
+  'pre-commit': { args: ['review', '--staged'], description: 'staged changes before each commit' },
+  'pre-push': { args: ['review'], description: 'the branch before each push' },
+}
+const FORMATS = ['md', 'json', 'sarif']
+const SEVERITIES = ['info', 'low', 'medium', 'high', 'critical', 'security']
+
+const USAGE = `Usage:
+  ai-review review [--base <ref>] [--staged | --working-tree] [--paths <pathspec>...] [--format md|json|sarif] [--fail-on <severities>]
+  ai-review install-hook [--hook pre-commit|pre-push] [--force]
+
+review
+  --base <ref>         Review the branch against its merge base with <ref> (default: BASE_REF or origin/main)
+  --staged             Review the staged changes instead of the branch
+  --working-tree       Review all uncommitted changes to tracked files instead of the branch
+  --paths <pathspec>   Only review changes under these git pathspecs (repeatable, or comma-separated)
+  --format <format>    md prints the review, json the JSON report, sarif a SARIF log; json and sarif
+                       keep stdout for the result and log progress to stderr (default: review and report)
+  --fail-on <list>     Comma-separated severities that make the command exit non-zero
+
+install-hook
+  --hook <name>        pre-push reviews the branch, pre-commit the staged changes (default: pre-push)
+  --force              Replace an existing hook that was not installed by ai-review
+
+Settings and API keys come from the repository config file and the same environment variables as
+\`npm run review:local\`, for example OPENAI_API_KEY.`
+
+function fail(message) {
+  console.error(`ai-review: ${message}\n\n${USAGE}`)
+  process.exit(2)
+}
+
+async function review(args) {
+  const { values } = parseArgs({
+    args,
+    options: {
+      base: { type: 'string' },
+      staged: { type: 'boolean' },
+      'working-tree': { type: 'boolean' },
+      paths: { type: 'string', multiple: true },
+      format: { type: 'string' },
+      'fail-on': { type: 'string' },
+    },
+  })
+  if (values.staged && values['working-tree']) fail('--staged and --working-tree cannot be combined')
+  if (values.format && !FORMATS.includes(values.format)) fail(`--format must be one of: ${FORMATS.join(', ')}`)
+
+  if (values.base) process.env.BASE_REF = values.base
+  process.env.AI_REVIEW_DIFF = values.staged ? 'staged' : values['working-tree'] ? 'working-tree' : 'branch'
+  if (values.paths) process.env.AI_REVIEW_PATHS = values.paths.join('\n')
+  if (values.format) process.env.AI_REVIEW_FORMAT = values.format
+  if (values['fail-on']) {
+    const severities = values['fail-on']
+      .split(',')
+      .map(severity => severity.trim())
+      .filter(Boolean)
+    const invalid = severities.filter(severity => !SEVERITIES.includes(severity))
+    if (invalid.length) fail(`unknown severities in --fail-on: ${invalid.join(', ')}`)
+    process.env.INPUT_FAIL_ON_SEVERITY = JSON.stringify(severities)
+  }
+  if (['json', 'sarif'].includes(values.format)) {
+    console.log = console.error
+  }
+
+  // The reviewer reads its settings when it loads, so it is imported only once they are in place
+  process.argv.push('--local')
+  await import('./review.js')
+}
+
+function installHook(args) {
+  const { values } = parseArgs({
+    args,
+    options: {
+      hook: { type: 'string', default: 'pre-push' },
+      force: { type: 'boolean' },
+    },
+  })
+  const hook = HOOKS[values.hook]
+  if (!hook) fail(`--hook must be one of: ${Object.keys(HOOKS).join(', ')}`)
+
+  // --git-path honours core.hooksPath and linked worktrees
+  let hooksDir
+  try {
+    hooksDir = path.resolve(execFileSync('git', ['rev-parse', '--git-path', 'hooks'], { encoding: 'utf8' }).trim())
+  } catch {
+    fail('not inside a git repository')
+  }
+  if (fs.existsSync(hooksDir) && !fs.statSync(hooksDir).isDirectory()) {
+    console.error(`ai-review: the hooks path ${hooksDir} is not a directory (check core.hooksPath)`)
+    process.exit(1)
+  }
+  const hookPath = path.join(hooksDir, values.hook)
+  if (fs.existsSync(hookPath) && !fs.readFileSync(hookPath, 'utf8').includes(HOOK_MARKER) && !values.force) {
+    console.error(`ai-review: ${hookPath} already exists; rerun with --force to replace it`)
+    process.exit(1)
+  }
+
+  const cliPath = fileURLToPath(import.meta.url)
+  const script = [
+    '#!/bin/sh',
+    HOOK_MARKER,
+    `# Reviews ${hook.description}; skip once with --no-verify.`,
+    `exec node ${JSON.stringify(cliPath)} ${hook.args.join(' ')}`,
+    '',
+  ].join('\n')
+  fs.mkdirSync(hooksDir, { recursive: true })
+  fs.writeFileSync(hookPath, script, { mode: 0o755 })
+  fs.chmodSync(hookPath, 0o755)
+  console.log(`Installed ${values.hook} hook at ${hookPath}: it reviews ${hook.description}.`)
+}
+
+const [command, ...args] = process.argv.slice(2)
+try {
+  if (command === 'review') {
+    await review(args)
+  } else if (command === 'install-hook') {
+    installHook(args)
+  } else if (!command || command === 'help' || command === '--help' || command === '-h') {
+    console.log(USAGE)
+  } else {
+    fail(`unknown command "${command}"`)
+  }
+} catch (error) {
+  // parseArgs reports unknown or malformed options as TypeErrors with a readable message
+  if (error.code?.startsWith('ERR_PARSE_ARGS')) fail(error.message)
+  throw error
+}
@@ -0,0 +1,61 @@
+// Runs without a pull request (push, workflow_dispatch, schedule) review a range of commits instead
+const ZERO_SHA = /^0+$/
+
+// `base...head` or `base..head`; either way the range is compared from the merge base, as for a pull request
+export function parseCommitRange(value) {
+  // Git refs can't contain `..`, so the separator is unambiguous
+  const [base, head, ...rest] = value.trim().split(value.includes('...') ? '...' : '..')
+  if (!base || !head || rest.length) throw new Error(`Invalid commit_range "${value}" (expected <base>...<head>)`)
+  return { base, head }
+}
+
+// The range a run reviews: commit_range when given, otherwise the pushed commits for a push and the
+// checked-out commit against its first parent (`base: null`) for other events. Returns null for a
+// push that deleted the branch.
+export function getCommitRangeSpec({ eventName, event, commitRange, sha }) {
+  if (commitRange) return parseCommitRange(commitRange)
+  if (eventName === 'push') {
+    if (event?.deleted) return null
+    // A newly pushed branch has no previous head, so it is reviewed against the default branch
+    const before = event?.before && !ZERO_SHA.test(event.before) ? event.before : event?.repository?.default_branch
+    return { base: before || null, head: event?.after || sha }
+  }
+  return { base: null, head: sha }
+}
+
+export async function getCommitRangeChanges(octo, { owner, repo, base, head }) {
+  // One file is enough here: only the SHA and parents of the head commit are needed
+  const { data: headCommit } = await octo.repos.getCommit({ owner, repo, ref: head, per_page: 1 })
+  const baseRef = base || headCommit.parents[0]?.sha
+  if (!baseRef) throw new Error(`${head} is a root commit; set commit_range to choose the commits to review`)
+
+  const { data: comparison } = await octo.repos.compareCommitsWithBasehead({
+    owner,
+    repo,
+    basehead: `${baseRef}...${headCommit.sha}`,
+  })
+  return {
+    baseSha: comparison.merge_base_commit?.sha || baseRef,
+    headSha: headCommit.sha,
+    commits: (comparison.commits || []).map(commit => ({ sha: commit.sha, message: commit.commit?.message || '' })),
+    totalCommits: comparison.total_commits ?? comparison.commits?.length ?? 0,
+    files: comparison.files || [],
+  }
+}
+
+// One summary comment per reviewed head commit, updated in place when the review runs again
+export async function upsertCommitComment(octo, { owner, repo, commitSha, marker, body }) {
+  const comments = await octo.paginate(octo.repos.listCommentsForCommit, {
+    owner,
+    repo,
+    commit_sha: commitSha,
+    per_page: 100,
+  })
+  const existing = comments.find(comment => comment.body?.includes(marker))
+  if (existing) {
+    const { data } = await octo.repos.updateCommitComment({ owner, repo, comment_id: existing.id, body })
+    return data.html_url
+  }
+  const { data } = await octo.repos.createCommitComment({ owner, repo, commit_sha: commitSha, body })
+  return data.html_url
+}
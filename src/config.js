@@ -0,0 +1,254 @@
+import fs from 'node:fs'
+import path from 'node:path'
+import yaml from 'js-yaml'
+
+export const DEFAULT_CONFIG_PATHS = ['.github/ai-review.yml', '.github/ai-review.yaml', '.github/ai-review.json']
+
+const SEVERITIES = ['info', 'low', 'medium', 'high', 'critical', 'security']
+const SECRET_KEYS = ['github_token', 'openai_api_key', 'ai_api_key']
+
+function stringValue(value, key) {
+  return typeof value === 'string' ? [value, []] : [undefined, [`${key} must be a string`]]
+}
+
+function positiveIntValue(value, key) {
+  const parsed = typeof value === 'string' ? Number(value) : value
+  return Number.isInteger(parsed) && parsed > 0
+    ? [parsed, []]
+    : [undefined, [`${key} must be a positive integer`]]
+}
+
+function nonNegativeIntValue(value, key) {
+  const parsed = typeof value === 'string' ? Number(value) : value
+  return Number.isInteger(parsed) && parsed >= 0
+    ? [parsed, []]
+    : [undefined, [`${key} must be a non-negative integer`]]
+}
+
+function fractionValue(value, key) {
+  const parsed = typeof value === 'string' ? Number(value) : value
+  return typeof parsed === 'number' && parsed >= 0 && parsed <= 1
+    ? [parsed, []]
+    : [undefined, [`${key} must be a number from 0 to 1`]]
+}
+
+function positiveNumberValue(value, key) {
+  const parsed = typeof value === 'string' ? Number(value) : value
+  return typeof parsed === 'number' && parsed > 0
+    ? [parsed, []]
+    : [undefined, [`${key} must be a positive number`]]
+}
+
+function booleanValue(value, key) {
+  return typeof value === 'boolean' ? [value, []] : [undefined, [`${key} must be true or false`]]
+}
+
+function enumValue(allowed) {
+  return (value, key) =>
+    allowed.includes(value)
+      ? [value, []]
+      : [undefined, [`${key} must be one of: ${allowed.join(', ')} (got ${JSON.stringify(value)})`]]
+}
+
+function stringListValue(value, key) {
+  if (!Array.isArray(value)) return [undefined, [`${key} must be a list of strings`]]
+  const errors = value
+    .map((item, i) => (typeof item === 'string' && item.trim() ? null : `${key}[${i}] must be a non-empty string`))
+    .filter(Boolean)
+  return errors.length ? [undefined, errors] : [value.map(item => item.trim()), []]
+}
+
+function severityListValue(value, key) {
+  const [list, errors] = stringListValue(value, key)
+  if (errors.length) return [undefined, errors]
+  const invalid = list
+    .map((severity, i) => (SEVERITIES.includes(severity) ? null : `${key}[${i}] must be one of: ${SEVERITIES.join(', ')}`))
+    .filter(Boolean)
+  return invalid.length ? [undefined, invalid] : [list, []]
+}
+
+const OVERRIDE_FIELDS = {
+  paths: stringListValue,
+  instructions: stringValue,
+  fail_on_severity: severityListValue,
+}
+
+function overridesValue(value, key) {
+  if (!Array.isArray(value)) return [undefined, [`${key} must be a list`]]
+  const errors = []
+  const overrides = value.map((entry, i) => {
+    const entryKey = `${key}[${i}]`
+    if (!entry || typeof entry !== 'object' || Array.isArray(entry)) {
+      errors.push(`${entryKey} must be a mapping`)
+      return null
+    }
+    if (!entry.paths) errors.push(`${entryKey}.paths is required`)
+    return validateFields(entry, OVERRIDE_FIELDS, entryKey, errors)
+  })
+  return errors.length ? [undefined, errors] : [overrides, []]
+}
+
+const PASS_FIELDS = {
+  name: stringValue,
+  instructions: stringValue,
+  fail_on_severity: severityListValue,
+}
+
+// Review passes are built-in pass names or mappings that define (or extend) a pass
+function reviewPassesValue(value, key) {
+  if (!Array.isArray(value)) return [undefined, [`${key} must be a list`]]
+  const errors = []
+  const passes = value.map((entry, i) => {
+    const entryKey = `${key}[${i}]`
+    if (typeof entry === 'string' && entry.trim()) return entry.trim()
+    if (!entry || typeof entry !== 'object' || Array.isArray(entry)) {
+      errors.push(`${entryKey} must be a pass name or a mapping`)
+      return null
+    }
+    if (typeof entry.name !== 'string' || !entry.name.trim()) errors.push(`${entryKey}.name is required`)
+    return validateFields(entry, PASS_FIELDS, entryKey, errors)
+  })
+  return errors.length ? [undefined, errors] : [passes, []]
+}
+
+// Prices in USD per million tokens, keyed by model name
+function modelPricesValue(value, key) {
+  if (!value || typeof value !== 'object' || Array.isArray(value)) return [undefined, [`${key} must be a mapping`]]
+  const errors = Object.entries(value).flatMap(([model, price]) =>
+    ['input', 'output']
+      .filter(field => !(typeof price?.[field] === 'number' && price[field] >= 0))
+      .map(field => `${key}.${model}.${field} must be a non-negative number`),
+  )
+  return errors.length ? [undefined, errors] : [value, []]
+}
+
+const REDACTION_RULE_FIELDS = {
+  name: stringValue,
+  pattern: stringValue,
+  flags: stringValue,
+}
+
+// Custom redaction rules are mappings with a name and a regular expression
+function redactionRulesValue(value, key) {
+  if (!Array.isArray(value)) return [undefined, [`${key} must be a list`]]
+  const errors = []
+  const rules = value.map((entry, i) => {
+    const entryKey = `${key}[${i}]`
+    if (!entry || typeof entry !== 'object' || Array.isArray(entry)) {
+      errors.push(`${entryKey} must be a mapping`)
+      return null
+    }
+    if (typeof entry.name !== 'string' || !entry.name.trim()) errors.push(`${entryKey}.name is required`)
+    if (typeof entry.pattern !== 'string' || !entry.pattern) errors.push(`${entryKey}.pattern is required`)
+    return validateFields(entry, REDACTION_RULE_FIELDS, entryKey, errors)
+  })
+  return errors.length ? [undefined, errors] : [rules, []]
+}
+
+// Config keys mirror the action inputs so settings read the same in both places
+const CONFIG_FIELDS = {
+  ai_provider: stringValue,
+  ai_model: stringValue,
+  ai_base_url: stringValue,
+  max_diff_chars: positiveIntValue,
+  max_review_files: positiveIntValue,
+  max_output_tokens: positiveIntValue,
+  max_review_chunks: positiveIntValue,
+  review_concurrency: positiveIntValue,
+  reasoning_effort: enumValue(['low', 'medium', 'high']),
+  fail_on_severity: severityListValue,
+  review_instructions: stringValue,
+  max_review_instructions_chars: positiveIntValue,
+  inline_comments: booleanValue,
+  check_name: stringValue,
+  review_scope: enumValue(['full', 'incremental']),
+  include_paths: stringListValue,
+  exclude_paths: stringListValue,
+  overrides: overridesValue,
+  baseline_path: stringValue,
+  sarif_path: stringValue,
+  include_context: booleanValue,
+  max_context_chars: positiveIntValue,
+  review_mode: enumValue(['standard', 'agentic']),
+  max_agent_steps: positiveIntValue,
+  max_agent_tool_bytes: positiveIntValue,
+  command_permission: enumValue(['read', 'triage', 'write', 'maintain', 'admin']),
+  verify_findings: booleanValue,
+  verifier_model: stringValue,
+  verifier_min_confidence: fractionValue,
+  review_passes: reviewPassesValue,
+  model_prices: modelPricesValue,
+  max_cost_usd: positiveNumberValue,
+  max_input_tokens: positiveIntValue,
+  max_retries: nonNegativeIntValue,
+  request_timeout_seconds: positiveIntValue,
+  fail_on_error: booleanValue,
+  manage_labels: booleanValue,
+  label_prefix: stringValue,
+  request_reviewers: stringListValue,
+  request_codeowners: booleanValue,
+  request_reviewers_on: severityListValue,
+  commit_report: enumValue(['comment', 'check', 'both']),
+  detect_prompt_injection: booleanValue,
+  prompt_injection_severity: enumValue(SEVERITIES),
+  exclude_fork_pr_body: booleanValue,
+  redaction_rules: redactionRulesValue,
+  redaction_allowlist: stringListValue,
+  redact_high_entropy: booleanValue,
+  redaction_entropy_threshold: positiveNumberValue,
+}
+
+function validateFields(raw, fields, prefix, errors) {
+  const result = {}
+  for (const [key, value] of Object.entries(raw)) {
+    const fieldKey = prefix ? `${prefix}.${key}` : key
+    if (!prefix && SECRET_KEYS.includes(key)) {
+      errors.push(`${fieldKey} must not be stored in the config file; pass it as a workflow input from secrets`)
+      continue
+    }
+    if (!fields[key]) {
+      errors.push(`${fieldKey} is not a recognised setting`)
+      continue
+    }
+    if (value === null || value === undefined) continue
+    const [parsed, fieldErrors] = fields[key](value, fieldKey)
+    errors.push(...fieldErrors)
+    if (parsed !== undefined) result[key] = parsed
+  }
+  return result
+}
+
+export function validateConfig(raw, source = 'config') {
+  if (raw === null || raw === undefined) return {}
+  if (typeof raw !== 'object' || Array.isArray(raw)) {
+    throw new Error(`Invalid review config ${source}: top level must be a mapping of settings`)
+  }
+
+  const errors = []
+  const config = validateFields(raw, CONFIG_FIELDS, '', errors)
+  if (errors.length) {
+    throw new Error(`Invalid review config ${source}:\n${errors.map(error => `  - ${error}`).join('\n')}`)
+  }
+  return config
+}
+
+// Load the first config file found in the workspace. An explicit path must exist;
+// the default locations are optional.
+export function loadRepoConfig(workspaceDir, configPath = '') {
+  const candidates = configPath ? [configPath] : DEFAULT_CONFIG_PATHS
+  for (const candidate of candidates) {
+    const fullPath = path.resolve(workspaceDir, candidate)
+    if (!fs.existsSync(fullPath)) continue
+
+    let raw
+    try {
+      raw = yaml.load(fs.readFileSync(fullPath, 'utf8'))
+    } catch (error) {
+      throw new Error(`Could not parse review config ${candidate}: ${error.message}`)
+    }
+    return { path: candidate, config: validateConfig(raw, candidate) }
+  }
+
+  if (configPath) throw new Error(`Review config file not found: ${configPath}`)
+  return { path: null, config: {} }
+}
@@ -0,0 +1,197 @@
+import path from 'node:path'
+import { parsePatchHunks } from './patch.js'
+import { readWorkspaceLines } from './source.js'
+
+const MAX_ENCLOSING_SCAN_LINES = 200
+const FALLBACK_CONTEXT_LINES = 20
+const MAX_IMPORTS_PER_FILE = 10
+
+// Lines that usually open a function, method or class in common languages
+const DECLARATION_PATTERN =
+  /^\s*(?:export\s+)?(?:default\s+)?(?:async\s+)?(?:function\b|class\b|def\b|func\b|fn\b|pub(?:\([^)]*\))?\s+(?:async\s+)?fn\b|(?:public|private|protected|internal|static|override|final|abstract|suspend)\b.*\(|(?:const|let|var)\s+\w+\s*=\s*(?:async\s*)?(?:function\b|\([^)]*\)\s*=>|\w+\s*=>)|(?:fun|sub|proc)\s+\w+|(?!(?:if|for|while|switch|catch|with|return)\b)\w+\s*\([^)]*\)\s*\{\s*$)/
+
+const JS_IMPORT_PATTERN =
+  /(?:\bfrom\s*|\bimport\s*\(?\s*|\brequire\s*\(\s*)['"](\.{1,2}\/[^'"]+)['"]/g
+const PY_IMPORT_PATTERN = /^\s*from\s+(\.*)([\w.]*)\s+import\b/
+const JS_EXTENSIONS = ['', '.js', '.ts', '.tsx', '.jsx', '.mjs', '.cjs', '.vue', '/index.js', '/index.ts', '/index.tsx']
+
+function indentOf(line) {
+  return line.match(/^\s*/)[0].replace(/\t/g, '    ').length
+}
+
+// Expand a changed range to the enclosing declaration, falling back to a fixed window
+export function findEnclosingRange(lines, start, end) {
+  const firstChanged = lines.slice(start - 1, end).find(line => line.trim()) ?? ''
+  const changedIndent = indentOf(firstChanged)
+
+  let declStart = null
+  for (let i = start; i >= Math.max(1, start - MAX_ENCLOSING_SCAN_LINES); i--) {
+    const line = lines[i - 1]
+    if (line !== undefined && DECLARATION_PATTERN.test(line) && indentOf(line) <= changedIndent) {
+      declStart = i
+      break
+    }
+  }
+  if (declStart === null) {
+    return {
+      start: Math.max(1, start - FALLBACK_CONTEXT_LINES),
+      end: Math.min(lines.length, end + FALLBACK_CONTEXT_LINES),
+      enclosing: false,
+    }
+  }
+
+  // The block ends at the first later line indented no deeper than the declaration;
+  // closing braces and `end` keywords belong to the block
+  const declIndent = indentOf(lines[declStart - 1])
+  let blockEnd = Math.min(lines.length, end + FALLBACK_CONTEXT_LINES)
+  for (let i = Math.max(end, declStart) + 1; i <= Math.min(lines.length, end + MAX_ENCLOSING_SCAN_LINES); i++) {
+    const line = lines[i - 1]
+    if (!line.trim() || indentOf(line) > declIndent) continue
+    blockEnd = /^\s*(?:[}\])]|end\b)/.test(line) ? i : i - 1
+    break
+  }
+  return { start: declStart, end: Math.max(blockEnd, end), enclosing: true }
+}
+
+function mergeRanges(ranges) {
+  const sorted = [...ranges].sort((a, b) => a.start - b.start)
+  const merged = []
+  for (const range of sorted) {
+    const last = merged[merged.length - 1]
+    if (last && range.start <= last.end + 1) {
+      last.end = Math.max(last.end, range.end)
+      last.enclosing = last.enclosing || range.enclosing
+    } else {
+      merged.push({ ...range })
+    }
+  }
+  return merged
+}
+
+function importCandidates(filename, addedLines) {
+  const dir = path.posix.dirname(filename)
+  const candidates = []
+
+  for (const line of addedLines) {
+    for (const match of line.matchAll(JS_IMPORT_PATTERN)) {
+      const base = path.posix.normalize(path.posix.join(dir, match[1]))
+      candidates.push(JS_EXTENSIONS.map(ext => `${base}${ext}`))
+    }
+    const py = line.match(PY_IMPORT_PATTERN)
+    if (py && filename.endsWith('.py')) {
+      const modulePath = py[2].replace(/\./g, '/')
+      const root = py[1]
+        ? path.posix.join(dir, ...Array(Math.max(py[1].length - 1, 0)).fill('..'))
+        : ''
+      const base = path.posix.normalize(path.posix.join(root || '.', modulePath))
+      if (modulePath) candidates.push([`${base}.py`, `${base}/__init__.py`])
+    }
+  }
+  return candidates.slice(0, MAX_IMPORTS_PER_FILE)
+}
+
+function numberLines(lines, start, end) {
+  return lines
+    .slice(start - 1, end)
+    .map((line, i) => `${start + i}: ${line}`)
+    .join('\n')
+}
+
+// Collect read-only context for the changed files: the full file when it is small enough, otherwise
+// the enclosing function of each hunk, then files referenced by newly added relative imports.
+// readLines(filename) resolves to the file's lines at the reviewed head, or null when unavailable.
+export async function gatherReviewContext({ files, readLines, maxChars, isExcluded = () => false }) {
+  const sections = []
+  const included = []
+  const skipped = []
+  let usedChars = 0
+  const maxFullFileChars = Math.floor(maxChars / 4)
+  const changedNames = new Set(files.map(file => file.filename))
+
+  const addSection = (entry, text) => {
+    const section = `### ${entry.file} (lines ${entry.lines}, ${entry.kind})\n${text}\n`
+    if (usedChars + section.length > maxChars) {
+      skipped.push({ file: entry.file, kind: entry.kind, reason: 'context budget' })
+      return
+    }
+    usedChars += section.length
+    sections.push(section)
+    included.push({ ...entry, chars: section.length })
+  }
+
+  const importTargets = []
+  for (const file of files) {
+    if (!file.patch || file.status === 'removed' || isExcluded(file.filename)) continue
+    const lines = await readLines(file.filename)
+    if (!lines) {
+      skipped.push({ file: file.filename, kind: 'enclosing', reason: 'unavailable' })
+      continue
+    }
+
+    const hunks = parsePatchHunks(file.patch)
+    const content = lines.join('\n')
+    if (content.length <= maxFullFileChars) {
+      addSection({ file: file.filename, kind: 'full', lines: `1-${lines.length}` }, numberLines(lines, 1, lines.length))
+    } else {
+      for (const range of mergeRanges(hunks.map(hunk => findEnclosingRange(lines, hunk.start, hunk.end)))) {
+        addSection(
+          { file: file.filename, kind: range.enclosing ? 'enclosing' : 'window', lines: `${range.start}-${range.end}` },
+          numberLines(lines, range.start, range.end),
+        )
+      }
+    }
+    importTargets.push(...importCandidates(file.filename, hunks.flatMap(hunk => hunk.added)))
+  }
+
+  const seenImports = new Set()
+  for (const candidates of importTargets) {
+    for (const candidate of candidates) {
+      if (changedNames.has(candidate) || seenImports.has(candidate)) break
+      if (isExcluded(candidate)) break
+      const lines = await readLines(candidate)
+      if (!lines) continue
+      seenImports.add(candidate)
+      // Large imported files are cut to their head, where exports and signatures usually sit
+      let end = 0
+      for (let chars = 0; end < lines.length && chars + lines[end].length < maxFullFileChars; end++) {
+        chars += lines[end].length + 1
+      }
+      if (!end) break
+      addSection(
+        { file: candidate, kind: 'import', lines: `1-${end}` },
+        numberLines(lines, 1, end),
+      )
+      break
+    }
+  }
+
+  return {
+    text: sections.join('\n'),
+    metadata: { maxChars, usedChars, included, skipped },
+  }
+}
+
+// Read files as they are at the reviewed head: from the checkout when it is at that commit,
+// otherwise through the contents API. Results are cached per path.
+export function createHeadFileReader({ octo, owner, repo, ref, workspaceDir, useWorkspace, isSensitiveFile }) {
+  const cache = new Map()
+
+  const load = async filename => {
+    if (isSensitiveFile(filename)) return null
+    if (useWorkspace) return readWorkspaceLines(workspaceDir, filename, { isSensitiveFile })
+    if (!octo) return null
+    try {
+      const { data } = await octo.repos.getContent({ owner, repo, path: filename, ref })
+      // Directories come back as arrays; files over 1 MB come back without inline content
+      if (Array.isArray(data) || data.type !== 'file' || data.encoding !== 'base64') return null
+      return Buffer.from(data.content, 'base64').toString('utf8').split('\n')
+    } catch {
+      return null
+    }
+  }
+
+  return filename => {
+    if (!cache.has(filename)) cache.set(filename, load(filename))
+    return cache.get(filename)
+  }
+}
@@ -0,0 +1,80 @@
+import { issueIdentity } from './severity.js'
+
+// Compare findings with the previous run's (from the hidden review state) so each finding is either
+// new or still open, and earlier findings that are gone are recorded as resolved. Only files in
+// `reviewedFiles` can have resolved findings: a file left out by a cap or the budget was not checked.
+const MAX_RESOLVED_HISTORY = 100
+
+// Match by fingerprint first; fall back to file and title so a finding whose line was edited
+// (which changes its fingerprint) isn't reported as resolved and new at the same time
+function createMatcher(previousIssues) {
+  const unmatched = new Set(previousIssues)
+  const byFingerprint = new Map(previousIssues.filter(issue => issue.fingerprint).map(issue => [issue.fingerprint, issue]))
+  const byTitle = new Map(previousIssues.map(issue => [issueIdentity(issue), issue]))
+
+  return {
+    take(issue) {
+      const earlier = [byFingerprint.get(issue.fingerprint), byTitle.get(issueIdentity(issue))].find(
+        candidate => candidate && unmatched.has(candidate),
+      )
+      if (earlier) unmatched.delete(earlier)
+      return earlier || null
+    },
+    remaining: () => [...unmatched],
+  }
+}
+
+export function trackFindings(review, { previousState, headSha, reviewedFiles }) {
+  if (!previousState) {
+    return {
+      ...review,
+      issues: review.issues.map(issue => ({ ...issue, first_seen_sha: headSha })),
+      changes: null,
+    }
+  }
+
+  const matcher = createMatcher(previousState.issues)
+  const issues = review.issues.map(issue => {
+    const earlier = matcher.take(issue)
+    return earlier
+      ? { ...issue, status: 'persistent', first_seen_sha: earlier.first_seen_sha || previousState.headSha }
+      : { ...issue, status: 'new', first_seen_sha: headSha }
+  })
+  // Suppressed findings were not fixed, so they are neither open nor resolved
+  const suppressed = (review.suppressed || []).map(issue => {
+    const earlier = matcher.take(issue)
+    return { ...issue, first_seen_sha: earlier ? earlier.first_seen_sha || previousState.headSha : headSha }
+  })
+  // Findings the verifier dropped were still reported by the model, so they weren't fixed either
+  for (const issue of review.dropped || []) matcher.take(issue)
+  const resolved = matcher
+    .remaining()
+    .filter(issue => reviewedFiles.has(issue.file))
+    .map(issue => ({
+      fingerprint: issue.fingerprint || null,
+      file: issue.file,
+      line: issue.line,
+      severity: issue.severity,
+      title: issue.title,
+      first_seen_sha: issue.first_seen_sha || previousState.headSha,
+      resolved_sha: headSha,
+    }))
+
+  return {
+    ...review,
+    issues,
+    ...(review.suppressed ? { suppressed } : {}),
+    changes: {
+      previous_head_sha: previousState.headSha,
+      head_sha: headSha,
+      new: issues.filter(issue => issue.status === 'new').length,
+      persistent: issues.filter(issue => issue.status === 'persistent').length,
+      resolved,
+    },
+  }
+}
+
+// Resolved findings kept in the review state, most recent first
+export function mergeResolvedHistory(previousState, changes) {
+  return [...(changes?.resolved || []), ...(previousState?.resolved || [])].slice(0, MAX_RESOLVED_HISTORY)
+}
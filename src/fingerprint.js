@@ -0,0 +1,27 @@
+import { createHash } from 'node:crypto'
+
+function normalizeText(text) {
+  return (text || '').toLowerCase().replace(/\s+/g, ' ').trim()
+}
+
+// Fingerprints ignore line numbers so they survive unrelated edits above the finding.
+// The code part is the reported line (or the next non-blank line) with whitespace collapsed, or the
+// `context_hash` of a finding about text outside the code, such as the pull request description.
+export function fingerprintIssue(issue, getLine) {
+  let code = issue.context_hash || ''
+  if (!code && Number.isInteger(issue.line)) {
+    for (let line = issue.line; line < issue.line + 3; line++) {
+      const text = getLine(issue.file, line)
+      if (text === undefined) break
+      if (text.trim()) {
+        code = text.replace(/\s+/g, ' ').trim()
+        break
+      }
+    }
+  }
+
+  return createHash('sha256')
+    .update(`${issue.file}\n${normalizeText(issue.title)}\n${code}`)
+    .digest('hex')
+    .slice(0, 20)
+}
@@ -0,0 +1,66 @@
+// Translate a path glob into a RegExp source (unanchored).
+// `**` matches across directories, while `*`, `?` and `[...]` stay within a single path segment.
+function globToSource(glob) {
+  let re = ''
+  for (let i = 0; i < glob.length; i++) {
+    const c = glob[i]
+    if (c === '*' && glob[i + 1] === '*') {
+      if (glob[i + 2] === '/') {
+        re += '(?:.*/)?'
+        i += 2
+      } else {
+        re += '.*'
+        i += 1
+      }
+    } else if (c === '*') {
+      re += '[^/]*'
+    } else if (c === '?') {
+      re += '[^/]'
+    } else if (c === '[' && glob.indexOf(']', i + 2) !== -1) {
+      const end = glob.indexOf(']', i + 2)
+      const body = glob.slice(i + 1, end).replace(/\\/g, '\\\\')
+      re += body.startsWith('!') ? `[^/${body.slice(1)}]` : `[${body}]`
+      i = end
+    } else {
+      re += c.replace(/[.+^${}()|[\]\\]/g, '\\$&')
+    }
+  }
+  return re
+}
+
+// Compile one gitignore-style pattern:
+// - a leading `!` negates the pattern
+// - a pattern without a slash (ignoring a trailing one) matches a file or directory name at any depth
+// - a leading `/` anchors the pattern to the repository root
+// - a pattern matching a directory also matches everything below it
+function compilePattern(pattern) {
+  let glob = pattern.trim()
+  const negated = glob.startsWith('!')
+  if (negated) glob = glob.slice(1)
+  const directoryOnly = glob.endsWith('/')
+  glob = glob.replace(/\/+$/, '')
+
+  const anchored = glob.startsWith('/') || glob.includes('/')
+  glob = glob.replace(/^\/+/, '')
+  const prefix = anchored ? '^' : '^(?:.*/)?'
+  const suffix = directoryOnly ? '/.*$' : '(?:/.*)?$'
+  return { negated, regex: new RegExp(`${prefix}${globToSource(glob)}${suffix}`) }
+}
+
+export function parsePathPatterns(value) {
+  if (Array.isArray(value)) return value.map(item => String(item).trim()).filter(Boolean)
+  return String(value || '')
+    .split(/[\n,]/)
+    .map(item => item.trim())
+    .filter(item => item && !item.startsWith('#'))
+}
+
+// Later patterns override earlier ones, as in .gitignore. Returns false when nothing matches.
+export function matchesPathPatterns(filename, patterns) {
+  let matched = false
+  for (const pattern of patterns) {
+    const { negated, regex } = compilePattern(pattern)
+    if (regex.test(filename)) matched = !negated
+  }
+  return matched
+}
@@ -0,0 +1,111 @@
+import { highestRisk, issueIdentity, riskFromIssues } from './severity.js'
+
+// Follow an old-side line number through a unified patch.
+// Returns the new-side line number, or null when the line itself was changed or deleted.
+export function mapLineThroughPatch(patch, oldLine) {
+  let offset = 0
+  let oldCur = 0
+  let newCur = 0
+  let inHunk = false
+
+  for (const line of patch.split('\n')) {
+    const hunk = line.match(/^@@ -(\d+)(?:,(\d+))? \+(\d+)(?:,(\d+))? @@/)
+    if (hunk) {
+      if (inHunk) offset = newCur - oldCur
+      // Zero-length ranges point at the line before the insertion/deletion point
+      const oldStart = parseInt(hunk[1], 10) + (hunk[2] === '0' ? 1 : 0)
+      const newStart = parseInt(hunk[3], 10) + (hunk[4] === '0' ? 1 : 0)
+      if (oldLine < oldStart) return oldLine + offset
+      oldCur = oldStart
+      newCur = newStart
+      inHunk = true
+      continue
+    }
+    if (!inHunk) continue
+
+    if (line.startsWith(' ')) {
+      if (oldCur === oldLine) return newCur
+      oldCur += 1
+      newCur += 1
+    } else if (line.startsWith('-')) {
+      if (oldCur === oldLine) return null
+      oldCur += 1
+    } else if (line.startsWith('+')) {
+      newCur += 1
+    }
+  }
+
+  if (inHunk) offset = newCur - oldCur
+  return oldLine + offset
+}
+
+// Keep earlier findings whose code the new commits did not touch, shifting their line numbers
+// to the new head. Findings on changed or deleted lines are dropped: the model re-reviews those lines.
+export function carryForwardFindings(previousIssues, changedFiles) {
+  const byName = new Map()
+  for (const file of changedFiles) {
+    byName.set(file.filename, file)
+    if (file.previous_filename) byName.set(file.previous_filename, file)
+  }
+
+  const carried = []
+  for (const issue of previousIssues) {
+    const file = byName.get(issue.file)
+    if (!file) {
+      carried.push(issue)
+      continue
+    }
+    if (file.status === 'removed') continue
+
+    const renamed = file.filename !== issue.file ? { file: file.filename } : {}
+    if (!Number.isInteger(issue.line) || !file.patch) {
+      carried.push({ ...issue, ...renamed })
+      continue
+    }
+    const line = mapLineThroughPatch(file.patch, issue.line)
+    if (line !== null) carried.push({ ...issue, ...renamed, line })
+  }
+  return carried
+}
+
+export function mergeIncrementalReview(review, carriedIssues) {
+  const seen = new Set(review.issues.map(issueIdentity))
+  const carried = carriedIssues.filter(issue => !seen.has(issueIdentity(issue)))
+  if (!carried.length) return review
+
+  return {
+    ...review,
+    summary: `${review.summary}\n\n${carried.length} unresolved finding(s) from earlier commits were carried forward.`,
+    overall_risk: highestRisk([review.overall_risk, riskFromIssues(carried)]),
+    issues: [...review.issues, ...carried],
+  }
+}
+
+// Resolve the commits pushed since the last reviewed head. `changes` is null whenever a full review is
+// needed: no previous state, nothing new, or history was rewritten so the old head is no longer an
+// ancestor. `reason` explains a fallback worth reporting, and `error` is set when the compare failed.
+export async function getIncrementalChanges(octo, { owner, repo, previousState, headSha }) {
+  if (!previousState?.headSha || previousState.headSha === headSha) return { changes: null, reason: null }
+
+  try {
+    const { data: comparison } = await octo.repos.compareCommitsWithBasehead({
+      owner,
+      repo,
+      basehead: `${previousState.headSha}...${headSha}`,
+    })
+    if (comparison.status !== 'ahead') {
+      return { changes: null, reason: `Previous review head ${previousState.headSha.slice(0, 7)} is ${comparison.status}` }
+    }
+    return {
+      changes: {
+        baseSha: previousState.headSha,
+        headSha,
+        commits: comparison.total_commits ?? comparison.commits?.length ?? 0,
+        files: comparison.files || [],
+      },
+      reason: null,
+    }
+  } catch (error) {
+    return { changes: null, reason: 'Could not compare against the previously reviewed head', error }
+  }
+}
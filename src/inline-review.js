@@ -0,0 +1,188 @@
+import { createHash } from 'node:crypto'
+import { escapeMarkdown } from './markdown.js'
+import { parsePatchRightSide } from './patch.js'
+import { issueIdentity, normalizePath } from './severity.js'
+
+export const INLINE_MARKER_PREFIX = '<!-- ai-code-review-inline:'
+const MAX_SUGGESTION_LINES = 50
+
+export function buildDiffLineIndex(files) {
+  const index = new Map()
+  for (const file of files) {
+    if (file.patch) index.set(file.filename, parsePatchRightSide(file.patch))
+  }
+  return index
+}
+
+export function inlineCommentKey(issue) {
+  return createHash('sha1')
+    .update(issueIdentity(issue))
+    .digest('hex')
+    .slice(0, 16)
+}
+
+function splitCodeLines(code) {
+  return code.replace(/\r\n/g, '\n').replace(/\n$/, '').split('\n').map(line => line.trimEnd())
+}
+
+// A fix is only usable when its whole range sits in one diff hunk (a GitHub requirement for
+// multi-line suggestions) and its original_code is exactly what the PR head has on those lines.
+export function verifySuggestedFix(fix, rightSide) {
+  if (!fix || !rightSide) return null
+  const { start_line: start, end_line: end } = fix
+  if (!Number.isInteger(start) || !Number.isInteger(end) || start < 1 || end < start) return null
+  if (end - start + 1 > MAX_SUGGESTION_LINES) return null
+
+  const actual = []
+  for (let line = start; line <= end; line++) {
+    const entry = rightSide.get(line)
+    if (!entry || entry.hunk !== rightSide.get(start).hunk) return null
+    actual.push(entry.text.trimEnd())
+  }
+
+  const original = splitCodeLines(fix.original_code)
+  if (original.length !== actual.length || original.some((line, i) => line !== actual[i])) return null
+  const replacement = fix.replacement_code.replace(/\r\n/g, '\n').replace(/\n$/, '')
+  if (splitCodeLines(replacement).join('\n') === actual.join('\n')) return null
+
+  return { start_line: start, end_line: end, replacement }
+}
+
+export function formatInlineComment(issue, fix = null) {
+  const lines = [`**[${issue.severity.toUpperCase()}] ${escapeMarkdown(issue.title)}**`, '', escapeMarkdown(issue.detail)]
+  if (issue.suggestion) {
+    lines.push('', `**Suggestion:** ${escapeMarkdown(issue.suggestion)}`)
+  }
+  if (fix) {
+    // Use a longer fence when the replacement itself contains backtick fences
+    const fence = '`'.repeat(Math.max(3, ...(fix.replacement.match(/`{3,}/g) || []).map(run => run.length + 1)))
+    lines.push('', `${fence}suggestion`, fix.replacement, fence)
+  }
+  lines.push('', `${INLINE_MARKER_PREFIX}${inlineCommentKey(issue)} -->`)
+  return lines.join('\n')
+}
+
+// Split issues into review comments anchored to the diff and issues that only fit in the summary.
+// Findings with a verified fix are anchored to the fix range and carry a suggested-change block.
+export function planInlineComments(issues, files) {
+  const index = buildDiffLineIndex(files)
+  const comments = []
+  const unanchored = []
+  let droppedFixes = 0
+
+  for (const issue of issues) {
+    const path = normalizePath(issue.file)
+    const rightSide = index.get(path)
+    const fix = verifySuggestedFix(issue.fix, rightSide)
+    if (issue.fix && !fix) droppedFixes += 1
+
+    const line = fix ? fix.end_line : issue.line
+    if (!rightSide || !Number.isInteger(line) || !rightSide.has(line)) {
+      unanchored.push(issue)
+      continue
+    }
+    comments.push({
+      path,
+      line,
+      side: 'RIGHT',
+      ...(fix && fix.start_line !== fix.end_line ? { start_line: fix.start_line, start_side: 'RIGHT' } : {}),
+      body: formatInlineComment(issue, fix),
+      key: inlineCommentKey(issue),
+      hasSuggestion: Boolean(fix),
+    })
+  }
+  return { comments, unanchored, droppedFixes }
+}
+
+export function parseInlineCommentKey(body) {
+  const start = body?.indexOf(INLINE_MARKER_PREFIX) ?? -1
+  if (start === -1) return null
+  return body.slice(start + INLINE_MARKER_PREFIX.length).match(/^([0-9a-f]+) -->/)?.[1] || null
+}
+
+function getExistingInlineKeys(reviewComments) {
+  const keys = new Set()
+  for (const comment of reviewComments) {
+    const key = parseInlineCommentKey(comment.body)
+    if (key) keys.add(key)
+  }
+  return keys
+}
+
+export async function postInlineReview(octo, { owner, repo, prNumber, headSha, issues, files }) {
+  const { comments, unanchored, droppedFixes } = planInlineComments(issues, files)
+  if (!comments.length) {
+    return { posted: 0, skipped: 0, unanchored: unanchored.length, suggestions: 0, droppedFixes }
+  }
+
+  // Skip findings that already have an inline thread so reruns don't duplicate comments
+  const existing = await octo.paginate(octo.pulls.listReviewComments, {
+    owner,
+    repo,
+    pull_number: prNumber,
+    per_page: 100,
+  })
+  const existingKeys = getExistingInlineKeys(existing)
+  const fresh = comments.filter(comment => !existingKeys.has(comment.key))
+
+  if (fresh.length) {
+    await octo.pulls.createReview({
+      owner,
+      repo,
+      pull_number: prNumber,
+      commit_id: headSha,
+      event: 'COMMENT',
+      comments: fresh.map(({ key, hasSuggestion, ...comment }) => comment),
+    })
+  }
+
+  return {
+    posted: fresh.length,
+    skipped: comments.length - fresh.length,
+    unanchored: unanchored.length,
+    suggestions: fresh.filter(comment => comment.hasSuggestion).length,
+    droppedFixes,
+  }
+}
+
+const REVIEW_THREADS_QUERY = `query($owner: String!, $repo: String!, $number: Int!, $cursor: String) {
+  repository(owner: $owner, name: $repo) {
+    pullRequest(number: $number) {
+      reviewThreads(first: 100, after: $cursor) {
+        pageInfo { hasNextPage endCursor }
+        nodes { id isResolved comments(first: 1) { nodes { body } } }
+      }
+    }
+  }
+}`
+
+// Resolve the inline threads of fixed findings and reopen threads whose finding was reported again.
+// Review threads can only be resolved through the GraphQL API.
+export async function syncInlineThreads(octo, { owner, repo, prNumber, resolveKeys, openKeys }) {
+  const result = { resolved: 0, reopened: 0 }
+  if (!resolveKeys.size && !openKeys.size) return result
+
+  let cursor = null
+  do {
+    const data = await octo.graphql(REVIEW_THREADS_QUERY, { owner, repo, number: prNumber, cursor })
+    const threads = data.repository.pullRequest.reviewThreads
+    for (const thread of threads.nodes) {
+      const key = parseInlineCommentKey(thread.comments.nodes[0]?.body)
+      if (!key) continue
+      if (!thread.isResolved && resolveKeys.has(key)) {
+        await octo.graphql('mutation($id: ID!) { resolveReviewThread(input: { threadId: $id }) { thread { id } } }', {
+          id: thread.id,
+        })
+        result.resolved += 1
+      } else if (thread.isResolved && openKeys.has(key)) {
+        await octo.graphql('mutation($id: ID!) { unresolveReviewThread(input: { threadId: $id }) { thread { id } } }', {
+          id: thread.id,
+        })
+        result.reopened += 1
+      }
+    }
+    cursor = threads.pageInfo.hasNextPage ? threads.pageInfo.endCursor : null
+  } while (cursor)
+
+  return result
+}
@@ -0,0 +1,32 @@
+import { passTag } from './passes.js'
+
+function isSecurityFinding(issue) {
+  return issue.severity === 'security' || (issue.tags || []).some(tag => tag === 'security' || tag === passTag('security'))
+}
+
+// `<prefix>risk:<overall risk>`, plus `<prefix>security` while a security finding is open
+export function getReviewLabels(review, prefix) {
+  return [`${prefix}risk:${review.overall_risk}`, ...(review.issues.some(isSecurityFinding) ? [`${prefix}security`] : [])]
+}
+
+// Make the pull request's labels reflect the current review. Only the labels this action manages are
+// removed, so labels added by people or other tools are left alone.
+export async function syncReviewLabels(octo, { owner, repo, prNumber, currentLabels, review, prefix }) {
+  const wanted = new Set(getReviewLabels(review, prefix))
+  const isManaged = name => name.startsWith(`${prefix}risk:`) || name === `${prefix}security`
+  const removed = currentLabels.filter(name => isManaged(name) && !wanted.has(name))
+  const added = [...wanted].filter(name => !currentLabels.includes(name))
+
+  for (const name of removed) {
+    try {
+      await octo.issues.removeLabel({ owner, repo, issue_number: prNumber, name })
+    } catch (error) {
+      // Someone removed it since the pull request was fetched
+      if (error.status !== 404) throw error
+    }
+  }
+  if (added.length) {
+    await octo.issues.addLabels({ owner, repo, issue_number: prNumber, labels: added })
+  }
+  return { added, removed }
+}
@@ -0,0 +1,4 @@
+export function escapeMarkdown(text) {
+  // Escape markdown special characters to prevent injection
+  return text.replace(/[[\\\]`*_{}()#+\-.!]/g, '\\$&')
+}
@@ -0,0 +1,107 @@
+import { SEVERITY_ORDER, highestRisk } from './severity.js'
+
+// Specialised review passes run over the same diff, each with its own focus and optional severity policy
+
+export const BUILTIN_PASSES = {
+  security:
+    'Focus only on security: injection, XSS, authentication and authorization gaps, secrets in code, unsafe deserialization, path traversal, SSRF, insecure cryptography or randomness, and data exposure across trust boundaries.',
+  performance:
+    'Focus only on performance: work inside hot loops, N+1 queries, unbounded memory growth, missing pagination or limits, blocking I/O on request paths, and accidental quadratic algorithms on inputs that can be large.',
+  concurrency:
+    'Focus only on concurrency: race conditions, missing awaits, unhandled promise rejections, shared mutable state, lock ordering and deadlocks, non-atomic check-then-act sequences, and resources that are not released on every path.',
+  'api-compat':
+    'Focus only on compatibility: breaking changes to public APIs, exported functions, CLI flags, configuration keys, wire formats, database schemas and events that existing callers or stored data depend on, including missing migrations or deprecation paths.',
+  correctness:
+    'Focus only on correctness: logic errors, wrong conditions, off-by-one mistakes, incorrect error handling, and edge cases (empty, null, zero, very large input) that the changed code mishandles.',
+}
+
+export function passTag(name) {
+  return `pass:${name}`
+}
+
+// Accepts pass names or { name, instructions, fail_on_severity } entries. A built-in name with its own
+// instructions keeps the built-in focus and adds the extra instructions.
+export function resolveReviewPasses(entries) {
+  const passes = entries.map(entry => {
+    const { name, instructions = '', fail_on_severity: failOnSeverity = null } =
+      typeof entry === 'string' ? { name: entry } : entry
+    const builtin = BUILTIN_PASSES[name]
+    if (!builtin && !instructions.trim()) {
+      throw new Error(
+        `Unknown review pass "${name}": define its instructions in the config file or use one of: ${Object.keys(BUILTIN_PASSES).join(', ')}`,
+      )
+    }
+    return {
+      name,
+      instructions: [builtin, instructions.trim()].filter(Boolean).join('\n'),
+      failOnSeverity,
+    }
+  })
+
+  const names = passes.map(pass => pass.name)
+  const duplicate = names.find((name, i) => names.indexOf(name) !== i)
+  if (duplicate) throw new Error(`Review pass "${duplicate}" is configured more than once`)
+  return passes
+}
+
+// A finding blocks when any pass that reported it blocks its severity. A pass without its own
+// `fail_on_severity` uses the global `failOn` set, as does a finding no pass is tagged on.
+export function isBlockingForPasses(issue, passes, failOn) {
+  const reporting = passes.filter(pass => issue.tags?.includes(passTag(pass.name)))
+  if (!reporting.length) return failOn.has(issue.severity)
+  return reporting.some(pass => (pass.failOnSeverity ? pass.failOnSeverity.includes(issue.severity) : failOn.has(issue.severity)))
+}
+
+export function tagReviewWithPass(review, pass) {
+  return {
+    ...review,
+    issues: review.issues.map(issue => ({ ...issue, tags: [...(issue.tags || []), passTag(pass.name)] })),
+  }
+}
+
+function titleWords(title) {
+  return new Set(title.toLowerCase().match(/[a-z0-9]{3,}/g) || [])
+}
+
+// At least half of the words of the shorter title (ignoring words under three letters) appear in the other
+function sharesWording(a, b) {
+  const wordsA = titleWords(a.title)
+  const wordsB = titleWords(b.title)
+  const shared = [...wordsA].filter(word => wordsB.has(word)).length
+  return shared > 0 && shared * 2 >= Math.min(wordsA.size, wordsB.size)
+}
+
+function isSameRootCause(a, b) {
+  if (a.file !== b.file) return false
+  if (a.title.toLowerCase() === b.title.toLowerCase()) return true
+  return Number.isInteger(a.line) && a.line === b.line && sharesWording(a, b)
+}
+
+// Merge the per-pass reviews. Findings from different passes on the same file with the same title, or
+// on the same line with overlapping titles, are one root cause: the most severe copy is kept and it is
+// tagged with every pass that reported it. Findings of one pass are never merged with each other.
+export function mergePassReviews(results) {
+  const candidates = results
+    .flatMap(({ pass, review }) => review.issues.map(issue => ({ issue, pass: pass.name })))
+    .sort((a, b) => SEVERITY_ORDER.indexOf(b.issue.severity) - SEVERITY_ORDER.indexOf(a.issue.severity))
+
+  const issues = []
+  const passesOf = new Map()
+  for (const { issue, pass } of candidates) {
+    const existing = issues.find(kept => !passesOf.get(kept).has(pass) && isSameRootCause(kept, issue))
+    if (existing) {
+      existing.tags = [...new Set([...(existing.tags || []), ...(issue.tags || [])])]
+      passesOf.get(existing).add(pass)
+    } else {
+      const kept = { ...issue, tags: [...(issue.tags || [])] }
+      issues.push(kept)
+      passesOf.set(kept, new Set([pass]))
+    }
+  }
+
+  return {
+    summary: results.map(({ pass, review }) => `${pass.name}: ${review.summary}`).join('\n\n'),
+    overall_risk: highestRisk(results.map(({ review }) => review.overall_risk)),
+    issues,
+  }
+}
@@ -0,0 +1,55 @@
+const HUNK_HEADER = /^@@ -\d+(?:,\d+)? \+(\d+)(?:,\d+)? @@/
+const HUNK_RANGE_HEADER = /^@@ -\d+(?:,\d+)? \+(\d+)(?:,(\d+))? @@/
+
+// Map each right-side line number in a GitHub `patch` to its review comment position, hunk index and text.
+// Position counts lines below the first hunk header; later hunk headers count as lines too.
+export function parsePatchRightSide(patch) {
+  const lines = new Map()
+  if (!patch) return lines
+
+  let position = -1
+  let hunk = -1
+  let newLine = 0
+  for (const line of patch.split('\n')) {
+    const header = line.match(HUNK_HEADER)
+    if (header) {
+      newLine = parseInt(header[1], 10)
+      position += 1
+      hunk += 1
+      continue
+    }
+    if (position < 0) continue
+    position += 1
+
+    if (line.startsWith('+') || line.startsWith(' ')) {
+      lines.set(newLine, { position, hunk, text: line.slice(1) })
+      newLine += 1
+    }
+  }
+  return lines
+}
+
+// Map each right-side line number in a patch to its source text (without the diff marker)
+export function parsePatchLines(patch) {
+  return new Map([...parsePatchRightSide(patch)].map(([line, entry]) => [line, entry.text]))
+}
+
+// New-file line ranges covered by each hunk, with the hunk's raw lines and its added lines' text
+export function parsePatchHunks(patch) {
+  const hunks = []
+  if (!patch) return hunks
+
+  for (const line of patch.split('\n')) {
+    const header = line.match(HUNK_RANGE_HEADER)
+    if (header) {
+      const start = parseInt(header[1], 10)
+      const count = header[2] === undefined ? 1 : parseInt(header[2], 10)
+      hunks.push({ start, end: start + Math.max(count, 1) - 1, lines: [line], added: [] })
+      continue
+    }
+    if (!hunks.length) continue
+    hunks[hunks.length - 1].lines.push(line)
+    if (line.startsWith('+')) hunks[hunks.length - 1].added.push(line.slice(1))
+  }
+  return hunks
+}
@@ -0,0 +1,104 @@
+import fs from 'node:fs'
+import path from 'node:path'
+
+// Fork pull requests are reviewed in two stages. The unprivileged `collect` stage runs on the
+// pull_request event without secrets and saves the pull request number and diff with this module.
+// The privileged stage runs on workflow_run, reads the artifact and reviews it with secrets.
+export const PR_ARTIFACT_VERSION = 1
+export const DEFAULT_PR_ARTIFACT_PATH = 'ai-review-pr/pull-request.json'
+// The collect stage saves at most 100 file patches; anything far larger was not written by it
+export const MAX_PR_ARTIFACT_BYTES = 20 * 1024 * 1024
+
+function artifactFile(file) {
+  return {
+    filename: file.filename,
+    status: file.status,
+    ...(file.previous_filename ? { previous_filename: file.previous_filename } : {}),
+    ...(file.patch !== undefined ? { patch: file.patch } : {}),
+  }
+}
+
+export function writePullRequestArtifact(filePath, { repository, pr, files }) {
+  const artifact = {
+    version: PR_ARTIFACT_VERSION,
+    repository,
+    number: pr.number,
+    headSha: pr.head.sha,
+    baseSha: pr.base.sha,
+    files: files.map(artifactFile),
+  }
+  fs.mkdirSync(path.dirname(filePath), { recursive: true })
+  fs.writeFileSync(filePath, JSON.stringify(artifact, null, 2))
+  return artifact
+}
+
+export function readPullRequestArtifact(filePath) {
+  if (!fs.existsSync(filePath)) {
+    throw new Error(`Pull request artifact not found: ${filePath} (download the artifact of the collect stage first)`)
+  }
+  const { size } = fs.statSync(filePath)
+  if (size > MAX_PR_ARTIFACT_BYTES) {
+    throw new Error(`Pull request artifact ${filePath} is ${size} bytes, over the limit of ${MAX_PR_ARTIFACT_BYTES}`)
+  }
+  let artifact
+  try {
+    artifact = JSON.parse(fs.readFileSync(filePath, 'utf8'))
+  } catch (error) {
+    throw new Error(`Could not parse pull request artifact ${filePath}: ${error.message}`)
+  }
+  const valid =
+    artifact?.version === PR_ARTIFACT_VERSION &&
+    Number.isInteger(artifact.number) &&
+    artifact.number > 0 &&
+    typeof artifact.repository === 'string' &&
+    /^[0-9a-f]{40}$/.test(artifact.headSha) &&
+    Array.isArray(artifact.files) &&
+    artifact.files.every(file => typeof file?.filename === 'string')
+  if (!valid) throw new Error(`Invalid pull request artifact ${filePath} (expected version ${PR_ARTIFACT_VERSION})`)
+  return artifact
+}
+
+// A fork can change the workflow that produced the artifact, so nothing in it is trusted until it
+// matches what GitHub reports: the run's pull request and head commit, the pull request's head branch
+// and commit, and every file patch. Returns a reason when the pull request has moved on since the run,
+// and throws on any other mismatch.
+export function verifyPullRequestArtifact(artifact, { repository, workflowRun, pr, files }) {
+  if (workflowRun?.event !== 'pull_request') {
+    throw new Error(`The pull request artifact must come from a pull_request run, not ${workflowRun?.event || 'an unknown event'}`)
+  }
+  if (artifact.repository !== repository) {
+    throw new Error(`The pull request artifact is for ${artifact.repository}, not ${repository}`)
+  }
+  const runNumbers = (workflowRun.pull_requests || []).map(entry => entry.number)
+  if (runNumbers.length && !runNumbers.includes(artifact.number)) {
+    throw new Error(
+      `The pull request artifact is for #${artifact.number}, but the workflow run was for ${runNumbers.map(number => `#${number}`).join(', ')}`,
+    )
+  }
+  if (artifact.headSha !== workflowRun.head_sha) {
+    throw new Error('The pull request artifact does not match the head commit of the workflow run that produced it')
+  }
+  // GitHub leaves `pull_requests` empty for runs from forks, so the number is also checked through the
+  // head branch: a pull request that moved on keeps it, another pull request has a different one
+  const headOf = (repository, branch) => (repository ? `${repository}:${branch}` : branch)
+  const runHead = headOf(workflowRun.head_repository?.full_name, workflowRun.head_branch)
+  const prHead = headOf(pr.head.repo?.full_name, pr.head.ref)
+  if (runHead !== prHead) {
+    throw new Error(`The pull request artifact is for #${artifact.number}, whose head ${prHead} is not the head ${runHead} of the workflow run`)
+  }
+  if (pr.head.sha !== artifact.headSha) {
+    return `pull request #${pr.number} has moved on to ${pr.head.sha.slice(0, 7)} since ${artifact.headSha.slice(0, 7)}`
+  }
+
+  const artifactFiles = new Map(artifact.files.map(file => [file.filename, file]))
+  const mismatched = files.filter(file => {
+    const saved = artifactFiles.get(file.filename)
+    return !saved || saved.patch !== file.patch || saved.status !== file.status
+  })
+  if (mismatched.length || artifactFiles.size !== files.length) {
+    throw new Error(
+      `The pull request artifact's diff does not match pull request #${pr.number}${mismatched.length ? ` (${mismatched.map(file => file.filename).slice(0, 5).join(', ')})` : ''}`,
+    )
+  }
+  return null
+}
@@ -0,0 +1,101 @@
+import { withRetries } from '../retry.js'
+import { addResponseUsage, createUsage } from './usage.js'
+
+const ANTHROPIC_VERSION = '2023-06-01'
+const DEFAULT_BASE_URL = 'https://api.anthropic.com'
+
+// Anthropic Messages API; structured output comes from a forced tool call whose input matches the schema
+export function createAnthropicProvider({ apiKey, baseUrl, retries, timeoutMs }) {
+  if (!apiKey) throw new Error('Missing ai_api_key input for the anthropic provider')
+  const endpoint = `${(baseUrl || DEFAULT_BASE_URL).replace(/\/+$/, '')}/v1/messages`
+
+  async function postMessage(params) {
+    const res = await fetch(endpoint, {
+      method: 'POST',
+      headers: {
+        'content-type': 'application/json',
+        'x-api-key': apiKey,
+        'anthropic-version': ANTHROPIC_VERSION,
+      },
+      body: JSON.stringify(params),
+      ...(timeoutMs ? { signal: AbortSignal.timeout(timeoutMs) } : {}),
+    })
+
+    const body = await res.json().catch(() => null)
+    if (!res.ok) {
+      const error = new Error(`Anthropic API error ${res.status}: ${body?.error?.message || res.statusText}`)
+      error.status = res.status
+      error.headers = res.headers
+      throw error
+    }
+    return body
+  }
+
+  function createMessage(params, usage) {
+    return withRetries(() => postMessage(params), {
+      retries,
+      label: 'Anthropic request',
+      onRetry: () => {
+        usage.retries += 1
+      },
+    })
+  }
+
+  return {
+    name: 'anthropic',
+    async generate({ model, instructions, input, schema, schemaName, maxOutputTokens, tools, maxToolSteps = 0 }) {
+      const submitTool = {
+        name: schemaName,
+        description: 'Submit the structured review result.',
+        input_schema: schema,
+      }
+      const availableTools = [
+        ...(tools?.definitions || []).map(({ name, description, parameters }) => ({
+          name,
+          description,
+          input_schema: parameters,
+        })),
+        submitTool,
+      ]
+      const messages = [{ role: 'user', content: input }]
+      const usage = createUsage()
+
+      // The model must call some tool each turn; once the step budget is spent only the submit tool is allowed
+      for (let step = 0; ; step++) {
+        const canCallTools = Boolean(tools) && step < maxToolSteps
+        const body = await createMessage(
+          {
+            model,
+            max_tokens: maxOutputTokens,
+            temperature: 0,
+            ...(instructions ? { system: instructions } : {}),
+            messages,
+            tools: availableTools,
+            tool_choice: canCallTools ? { type: 'any' } : { type: 'tool', name: schemaName },
+          },
+          usage,
+        )
+        addResponseUsage(usage, body?.usage)
+
+        const toolUses = (body?.content || []).filter(block => block.type === 'tool_use')
+        const submitted = toolUses.find(block => block.name === schemaName)
+        if (submitted || !canCallTools || !toolUses.length) {
+          const text = submitted
+            ? JSON.stringify(submitted.input)
+            : (body?.content || [])
+                .filter(block => block.type === 'text')
+                .map(block => block.text)
+                .join('\n')
+          return { text, response: body, toolSteps: step, usage }
+        }
+
+        messages.push({ role: 'assistant', content: body.content })
+        const results = []
+        for (const toolUse of toolUses) {
+          results.push({ type: 'tool_result', tool_use_id: toolUse.id, content: await tools.run(toolUse.name, toolUse.input) })
+        }
+        messages.push({ role: 'user', content: results })
+      }
+    },
+  }
+}
@@ -0,0 +1,15 @@
+import { AzureOpenAI } from 'openai'
+import { createChatReview } from './chat-completions.js'
+
+// Azure OpenAI Chat Completions; `model` is the deployment name
+export function createAzureOpenAIProvider({ apiKey, baseUrl, apiVersion, retries, timeoutMs }) {
+  if (!baseUrl) throw new Error('ai_base_url is required for the azure provider (e.g. https://my-resource.openai.azure.com)')
+  const client = new AzureOpenAI({ apiKey, endpoint: baseUrl, apiVersion, maxRetries: 0, timeout: timeoutMs })
+
+  return {
+    name: 'azure',
+    generate(request) {
+      return createChatReview(client, { ...request, maxTokensParam: 'max_completion_tokens', retries })
+    },
+  }
+}
@@ -0,0 +1,106 @@
+import { withRetries } from '../retry.js'
+import { addResponseUsage, createUsage } from './usage.js'
+
+function send(client, params, usage, retries) {
+  return withRetries(() => client.chat.completions.create(params), {
+    retries,
+    label: 'Chat Completions request',
+    onRetry: () => {
+      usage.retries += 1
+    },
+  })
+}
+
+async function createCompletion(client, params, schema, usage, retries) {
+  try {
+    const completion = await send(client, params, usage, retries)
+    addResponseUsage(usage, completion.usage)
+    return completion
+  } catch (error) {
+    const message = `${error.message || ''} ${error.error?.message || ''}`
+    const unsupportedOption =
+      /reasoning_effort|temperature|response_format|json_schema|max_tokens|max_completion_tokens/i.test(message) &&
+      /unsupported|unknown|invalid|not supported|unrecognized|extra inputs/i.test(message)
+
+    if (!unsupportedOption) throw error
+
+    // Servers without JSON schema support still usually honour plain JSON mode
+    console.warn('Structured output options were not accepted by this endpoint; retrying with JSON mode.')
+    const { reasoning_effort, temperature, response_format, ...compatParams } = params
+    usage.retries += 1
+    const completion = await send(
+      client,
+      {
+        ...compatParams,
+        messages: [
+          ...compatParams.messages,
+          { role: 'system', content: `Respond with a single JSON object matching this JSON schema:\n${JSON.stringify(schema)}` },
+        ],
+        response_format: { type: 'json_object' },
+      },
+      usage,
+      retries,
+    )
+    addResponseUsage(usage, completion.usage)
+    return completion
+  }
+}
+
+// Shared Chat Completions call for Azure OpenAI and OpenAI-compatible servers (vLLM, Ollama, LiteLLM, ...)
+export async function createChatReview(client, {
+  model,
+  instructions,
+  input,
+  schema,
+  schemaName,
+  maxOutputTokens,
+  reasoningEffort,
+  tools,
+  maxToolSteps = 0,
+  maxTokensParam = 'max_tokens',
+  retries = 0,
+}) {
+  const messages = [
+    ...(instructions ? [{ role: 'system', content: instructions }] : []),
+    { role: 'user', content: input },
+  ]
+  const params = {
+    model,
+    temperature: 0,
+    [maxTokensParam]: maxOutputTokens,
+    ...(reasoningEffort ? { reasoning_effort: reasoningEffort } : {}),
+    response_format: {
+      type: 'json_schema',
+      json_schema: { name: schemaName, strict: true, schema },
+    },
+    ...(tools
+      ? {
+          tools: tools.definitions.map(({ name, description, parameters }) => ({
+            type: 'function',
+            function: { name, description, parameters },
+          })),
+        }
+      : {}),
+  }
+
+  const usage = createUsage()
+  for (let step = 0; ; step++) {
+    const canCallTools = Boolean(tools) && step < maxToolSteps
+    const completion = await createCompletion(
+      client,
+      { ...params, messages, ...(tools ? { tool_choice: canCallTools ? 'auto' : 'none' } : {}) },
+      schema,
+      usage,
+      retries,
+    )
+    const message = completion.choices?.[0]?.message
+    if (!canCallTools || !message?.tool_calls?.length) {
+      return { text: message?.content || '', response: completion, toolSteps: step, usage }
+    }
+
+    messages.push(message)
+    for (const call of message.tool_calls) {
+      messages.push({ role: 'tool', tool_call_id: call.id, content: await tools.run(call.function.name, call.function.arguments) })
+    }
+  }
+}
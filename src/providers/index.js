@@ -0,0 +1,28 @@
+import { createOpenAIProvider } from './openai.js'
+import { createAzureOpenAIProvider } from './azure.js'
+import { createOpenAICompatibleProvider } from './openai-compatible.js'
+import { createAnthropicProvider } from './anthropic.js'
+
+const PROVIDERS = {
+  openai: createOpenAIProvider,
+  azure: createAzureOpenAIProvider,
+  'openai-compatible': createOpenAICompatibleProvider,
+  anthropic: createAnthropicProvider,
+}
+
+export const SUPPORTED_PROVIDERS = Object.keys(PROVIDERS)
+
+// Every provider exposes generate({ model, instructions, input, schema, schemaName, maxOutputTokens,
+// reasoningEffort }) and resolves to { text, response, usage } where text is JSON matching the schema
+// and usage sums the token counts of every request made (see ./usage.js).
+// With `tools` ({ definitions, run }) the provider lets the model call them for up to `maxToolSteps`
+// turns before it must answer, and also reports how many turns were used as `toolSteps`.
+// Every provider retries transient failures up to `options.retries` times (see ../retry.js) and gives
+// each request `options.timeoutMs` to complete.
+export function createProvider(name, options) {
+  const factory = PROVIDERS[name]
+  if (!factory) {
+    throw new Error(`Unsupported ai_provider "${name}" (expected one of: ${SUPPORTED_PROVIDERS.join(', ')})`)
+  }
+  return factory(options)
+}
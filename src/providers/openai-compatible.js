@@ -0,0 +1,17 @@
+import { OpenAI } from 'openai'
+import { createChatReview } from './chat-completions.js'
+
+// Self-hosted or third-party servers exposing the OpenAI Chat Completions API
+export function createOpenAICompatibleProvider({ apiKey, baseUrl, retries, timeoutMs }) {
+  if (!baseUrl) throw new Error('ai_base_url is required for the openai-compatible provider (e.g. http://localhost:11434/v1)')
+  // Local servers often need no key, but the SDK requires a non-empty value
+  const client = new OpenAI({ apiKey: apiKey || 'not-needed', baseURL: baseUrl, maxRetries: 0, timeout: timeoutMs })
+
+  return {
+    name: 'openai-compatible',
+    generate({ reasoningEffort, ...request }) {
+      // reasoning_effort is OpenAI-specific; most compatible servers reject or ignore it
+      return createChatReview(client, { ...request, retries })
+    },
+  }
+}
@@ -0,0 +1,101 @@
+import { OpenAI } from 'openai'
+import { withRetries } from '../retry.js'
+import { addResponseUsage, createUsage } from './usage.js'
+
+// OpenAI Responses API with strict JSON schema output
+export function createOpenAIProvider({ apiKey, baseUrl, retries, timeoutMs }) {
+  // Retries follow the action's own policy instead of the SDK's
+  const openai = new OpenAI({ apiKey, maxRetries: 0, timeout: timeoutMs, ...(baseUrl ? { baseURL: baseUrl } : {}) })
+
+  function send(params, usage) {
+    return withRetries(() => openai.responses.create(params), {
+      retries,
+      label: 'OpenAI request',
+      onRetry: () => {
+        usage.retries += 1
+      },
+    })
+  }
+
+  async function createReviewResponse(params, usage) {
+    try {
+      const response = await send(params, usage)
+      addResponseUsage(usage, response.usage)
+      return response
+    } catch (error) {
+      const message = `${error.message || ''} ${error.error?.message || ''}`
+      const unsupportedFastOption =
+        /reasoning|max_output_tokens|temperature|store|include/i.test(message) &&
+        /unsupported|unknown|invalid|not supported|unrecognized/i.test(message)
+
+      if (!unsupportedFastOption) throw error
+
+      console.warn('Fast response options were not accepted by this model; retrying with compatibility options.')
+      const { reasoning, max_output_tokens, temperature, store, include, ...compatParams } = params
+      usage.retries += 1
+      const response = await send(compatParams, usage)
+      addResponseUsage(usage, response.usage)
+      return response
+    }
+  }
+
+  return {
+    name: 'openai',
+    async generate({ model, instructions, input, schema, schemaName, maxOutputTokens, reasoningEffort, tools, maxToolSteps = 0 }) {
+      const params = {
+        model,
+        ...(instructions ? { instructions } : {}),
+        temperature: 0,
+        max_output_tokens: maxOutputTokens,
+        reasoning: { effort: reasoningEffort },
+        store: false,
+        text: {
+          format: {
+            type: 'json_schema',
+            name: schemaName,
+            strict: true,
+            schema,
+          },
+        },
+      }
+      const usage = createUsage()
+      if (!tools) {
+        const ai = await createReviewResponse({ ...params, input }, usage)
+        // Extract content from responses API format
+        return { text: ai.output_text || ai.response?.content || ai.content, response: ai, toolSteps: 0, usage }
+      }
+
+      // Without stored responses, reasoning items must be passed back encrypted alongside the tool calls
+      const conversation = [{ role: 'user', content: input }]
+      const functionTools = tools.definitions.map(({ name, description, parameters }) => ({
+        type: 'function',
+        name,
+        description,
+        parameters,
+        strict: true,
+      }))
+      for (let step = 0; ; step++) {
+        const canCallTools = step < maxToolSteps
+        const ai = await createReviewResponse(
+          {
+            ...params,
+            input: conversation,
+            tools: functionTools,
+            tool_choice: canCallTools ? 'auto' : 'none',
+            include: ['reasoning.encrypted_content'],
+          },
+          usage,
+        )
+        const calls = (ai.output || []).filter(item => item.type === 'function_call')
+        if (!canCallTools || !calls.length) {
+          return { text: ai.output_text || '', response: ai, toolSteps: step, usage }
+        }
+
+        conversation.push(...ai.output)
+        for (const call of calls) {
+          conversation.push({ type: 'function_call_output', call_id: call.call_id, output: await tools.run(call.name, call.arguments) })
+        }
+      }
+    },
+  }
+}
@@ -0,0 +1,18 @@
+// Token counts summed over every request one generate() call made (tool steps and compatibility retries)
+export function createUsage() {
+  return { inputTokens: 0, outputTokens: 0, reasoningTokens: 0, requests: 0, retries: 0 }
+}
+
+// The Responses API and Anthropic report input/output_tokens, Chat Completions prompt/completion_tokens.
+// Anthropic counts cached prompt tokens separately from input_tokens.
+export function addResponseUsage(usage, raw) {
+  usage.requests += 1
+  if (!raw) return
+  usage.inputTokens +=
+    (raw.input_tokens ?? raw.prompt_tokens ?? 0) +
+    (raw.cache_creation_input_tokens || 0) +
+    (raw.cache_read_input_tokens || 0)
+  usage.outputTokens += raw.output_tokens ?? raw.completion_tokens ?? 0
+  usage.reasoningTokens +=
+    raw.output_tokens_details?.reasoning_tokens ?? raw.completion_tokens_details?.reasoning_tokens ?? 0
+}
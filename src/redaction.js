@@ -0,0 +1,171 @@
+import crypto from 'node:crypto'
+
+// Secrets are removed from everything sent to the model: diffs, surrounding code, tool output,
+// instructions and questions. Rules may capture the secret in a named `secret` group so the
+// surrounding text (a variable name, a connection string's host) stays readable.
+export const BUILTIN_REDACTION_RULES = [
+  { name: 'pem-block', pattern: /-----BEGIN [^-]+-----[\s\S]*?-----END [^-]+-----/ },
+  { name: 'aws-key', pattern: /\b(?:AKIA|ASIA)[0-9A-Z]{16}\b/ },
+  { name: 'github-token', pattern: /\b(?:gh[a-z]{1,3}_[A-Za-z0-9_-]{20,}|github_pat_[A-Za-z0-9_]{22,})/i },
+  { name: 'slack-token', pattern: /\bxox[abposr]-[A-Za-z0-9-]{10,}/ },
+  { name: 'slack-webhook', pattern: /https:\/\/hooks\.slack\.com\/(?:services|workflows)\/[A-Za-z0-9/_-]+/ },
+  { name: 'stripe-key', pattern: /\b(?:sk|rk)_(?:live|test)_[A-Za-z0-9]{16,}/ },
+  { name: 'google-api-key', pattern: /\bAIza[0-9A-Za-z_-]{35}/ },
+  // Before the OpenAI rule, whose `sk-` prefix also matches Anthropic keys
+  { name: 'anthropic-key', pattern: /\bsk-ant-[A-Za-z0-9_-]{20,}/ },
+  { name: 'openai-key', pattern: /\bsk-(?:proj-|svcacct-|admin-)?[A-Za-z0-9_-]{20,}/ },
+  { name: 'jwt', pattern: /\beyJ[A-Za-z0-9_-]{10,}\.eyJ[A-Za-z0-9_-]{10,}\.[A-Za-z0-9_-]{10,}/ },
+  { name: 'connection-string-password', pattern: /\b[a-z][a-z0-9+.-]*:\/\/[^\s:@/'"]+:(?<secret>[^\s@/'"]+)@/i },
+  {
+    name: 'secret-assignment',
+    pattern:
+      /\b[A-Za-z0-9_]*(?:private_?key|secret_?key|client_?secret|api_?key|access_?token|auth_?token|password|passwd)\b['"]?\s*[:=]\s*['"](?<secret>[^'"\s]{8,})['"]/i,
+  },
+]
+
+// High-entropy candidates must be long and mix upper case, lower case and digits, which rules out
+// most constants. A slash ends a candidate, so each segment of a path or URL is judged on its own.
+// Standard base64, which can contain slashes, is matched whole by a stricter pattern that starts and
+// ends at a token boundary, so it can't begin inside a URL or a path or end at a file extension.
+const ENTROPY_CANDIDATE = /[A-Za-z0-9+=_-]{24,}/
+const BASE64_CANDIDATE = /(?<![\w+/=.:~-])[A-Za-z0-9+][A-Za-z0-9+/]{30,}[A-Za-z0-9+]={0,2}(?![\w+/=.-])/
+// Identifiers and paths split into words at separators and case changes (`getUserById2`,
+// `src/HTTPServer/routes`) with an average of at least four characters. Random strings change case
+// every two or three characters and put digits inside words.
+const WORD_BOUNDARY = /[^A-Za-z0-9]+|(?<=[a-z0-9])(?=[A-Z])|(?<=[A-Z])(?=[A-Z][a-z])/
+const WORD = /^(?:[A-Z]?[a-z]+|[A-Z]+)[0-9]*$|^[0-9]+$/
+const MIN_AVERAGE_WORD_CHARS = 4
+
+function isWordLike(value) {
+  const words = value.split(WORD_BOUNDARY).filter(Boolean)
+  const chars = words.reduce((total, word) => total + word.length, 0)
+  return words.every(word => WORD.test(word)) && chars / words.length >= MIN_AVERAGE_WORD_CHARS
+}
+const ENTROPY_CHARACTER_CLASSES = [/[a-z]/, /[A-Z]/, /[0-9]/]
+// Hex digests and commit SHAs, UUIDs, and subresource integrity hashes in lockfiles
+const ENTROPY_ALLOWLIST = [/^[0-9a-f]+$/i, /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i, /^sha(?:1|256|384|512)-/]
+export const DEFAULT_ENTROPY_THRESHOLD = 4.2
+
+// Bits per character
+export function shannonEntropy(text) {
+  const counts = new Map()
+  for (const char of text) counts.set(char, (counts.get(char) || 0) + 1)
+  let entropy = 0
+  for (const count of counts.values()) {
+    const p = count / text.length
+    entropy -= p * Math.log2(p)
+  }
+  return entropy
+}
+
+function compileRule(name, pattern, flags = '') {
+  const source = pattern instanceof RegExp ? pattern.source : pattern
+  const allFlags = new Set([...(pattern instanceof RegExp ? pattern.flags : ''), ...flags, 'g', 'd'])
+  return { name, pattern: new RegExp(source, [...allFlags].join('')) }
+}
+
+// Custom rules: a JSON array (or config list) of { name, pattern, flags? } with JavaScript regex syntax
+export function parseRedactionRules(value) {
+  const rules = typeof value === 'string' ? JSON.parse(value.trim() || '[]') : value
+  if (!Array.isArray(rules)) {
+    throw new Error('redaction_rules must be a JSON array of { "name": string, "pattern": regex string }')
+  }
+  return rules.map((rule, i) => {
+    if (typeof rule?.name !== 'string' || !rule.name.trim() || typeof rule.pattern !== 'string' || !rule.pattern) {
+      throw new Error(`redaction_rules[${i}] needs a "name" and a "pattern"`)
+    }
+    try {
+      return compileRule(rule.name.trim(), rule.pattern, rule.flags || '')
+    } catch (error) {
+      throw new Error(`redaction_rules[${i}] (${rule.name}) has an invalid pattern: ${error.message}`)
+    }
+  })
+}
+
+export function parseRedactionAllowlist(value) {
+  const patterns = Array.isArray(value)
+    ? value
+    : String(value || '')
+        .split('\n')
+        .map(item => item.trim())
+        .filter(Boolean)
+  return patterns.map(pattern => {
+    try {
+      return new RegExp(pattern)
+    } catch (error) {
+      throw new Error(`redaction_allowlist pattern ${JSON.stringify(pattern)} is invalid: ${error.message}`)
+    }
+  })
+}
+
+function placeholder(ruleName) {
+  return `[REDACTED_${ruleName.toUpperCase().replace(/[^A-Z0-9]+/g, '_')}]`
+}
+
+// The file each offset of a diff belongs to, from its `+++ b/<file>` headers
+function diffFileAt(text) {
+  const headers = [...text.matchAll(/^\+\+\+ b\/(.+)$/gm)].map(match => ({ offset: match.index, file: match[1] }))
+  return (offset, fallback) => headers.findLast(header => header.offset <= offset)?.file || fallback
+}
+
+// Creates a redactor for one run. `summary()` counts each distinct secret once per rule and file,
+// however often the same text is sent; only hashes of the values are kept for that.
+export function createRedactor({ customRules = [], allowlist = [], entropyThreshold = DEFAULT_ENTROPY_THRESHOLD }) {
+  const rules = [...BUILTIN_REDACTION_RULES.map(rule => compileRule(rule.name, rule.pattern)), ...customRules]
+  const seen = new Set()
+  const counts = []
+
+  const isAllowed = value => allowlist.some(pattern => pattern.test(value))
+  const isHighEntropy = value =>
+    ENTROPY_CHARACTER_CLASSES.every(charClass => charClass.test(value)) &&
+    !ENTROPY_ALLOWLIST.some(pattern => pattern.test(value)) &&
+    !isWordLike(value) &&
+    shannonEntropy(value) >= entropyThreshold
+
+  function record(rule, file, value) {
+    const key = `${rule}\n${file}\n${crypto.createHash('sha256').update(value).digest('hex')}`
+    if (seen.has(key)) return
+    seen.add(key)
+    counts.push({ rule, file })
+  }
+
+  function applyRule(text, source, name, pattern, accept) {
+    const fileAt = diffFileAt(text)
+    let result = ''
+    let last = 0
+    for (const match of text.matchAll(pattern)) {
+      const [start, end] = match.indices.groups?.secret ?? match.indices[0]
+      const value = text.slice(start, end)
+      if (!value || isAllowed(value) || !accept(value)) continue
+      result += text.slice(last, start) + placeholder(name)
+      last = end
+      record(name, fileAt(start, source), value)
+    }
+    return result + text.slice(last)
+  }
+
+  return {
+    redact(text, source = 'text') {
+      let redacted = String(text)
+      for (const rule of rules) {
+        redacted = applyRule(redacted, source, rule.name, rule.pattern, () => true)
+      }
+      if (entropyThreshold) {
+        const base64 = value => value.includes('/') && !value.includes('//') && isHighEntropy(value)
+        redacted = applyRule(redacted, source, 'high-entropy', new RegExp(BASE64_CANDIDATE.source, 'gd'), base64)
+        redacted = applyRule(redacted, source, 'high-entropy', new RegExp(ENTROPY_CANDIDATE.source, 'gd'), isHighEntropy)
+      }
+      return redacted
+    },
+
+    summary() {
+      const byRule = {}
+      const byFile = {}
+      for (const { rule, file } of counts) {
+        byRule[rule] = (byRule[rule] || 0) + 1
+        byFile[file] = { ...byFile[file], [rule]: (byFile[file]?.[rule] || 0) + 1 }
+      }
+      return { total: counts.length, byRule, byFile }
+    },
+  }
+}
@@ -0,0 +1,101 @@
+// Retry policy shared by the model providers and the GitHub client: exponential backoff with jitter
+// for rate limits, server errors and network failures, honouring Retry-After when the server sends it.
+// A request with side effects (creating a comment, review or check run) may have been applied when it
+// times out or fails with a server error, so it is only retried when the server refused it (429 or a
+// rate limit) or the connection was never made. Model requests have no side effects and always retry.
+const BASE_DELAY_MS = 1000
+const MAX_DELAY_MS = 30000
+// A longer Retry-After (such as a GitHub rate limit reset in an hour) is not worth waiting for
+const MAX_RETRY_AFTER_MS = 120000
+const CONNECTION_ERROR_NAMES = new Set(['APIConnectionError', 'APIConnectionTimeoutError', 'TimeoutError', 'AbortError'])
+const NETWORK_ERROR_CODES = new Set(['ECONNRESET', 'ECONNREFUSED', 'ETIMEDOUT', 'EPIPE', 'EAI_AGAIN', 'UND_ERR_SOCKET'])
+// Failures before anything was sent: the connection was refused or the host name did not resolve
+const NOT_SENT_ERROR_CODES = new Set(['ECONNREFUSED', 'EAI_AGAIN'])
+// PATCH is left out: adding check run annotations is a PATCH that appends
+const IDEMPOTENT_METHODS = new Set(['GET', 'HEAD', 'OPTIONS', 'PUT', 'DELETE'])
+
+function getHeader(headers, name) {
+  if (!headers) return undefined
+  return typeof headers.get === 'function' ? headers.get(name) : headers[name]
+}
+
+// OpenAI SDK errors carry `headers`, Octokit errors `response.headers`
+function retryAfterMs(error) {
+  const headers = error.headers || error.response?.headers
+  const retryAfterMsHeader = Number(getHeader(headers, 'retry-after-ms'))
+  if (retryAfterMsHeader > 0) return retryAfterMsHeader
+
+  const retryAfter = getHeader(headers, 'retry-after')
+  if (retryAfter) {
+    const seconds = Number(retryAfter)
+    if (Number.isFinite(seconds)) return seconds * 1000
+    const date = Date.parse(retryAfter)
+    if (!Number.isNaN(date)) return Math.max(0, date - Date.now())
+  }
+  if (getHeader(headers, 'x-ratelimit-remaining') === '0') {
+    const reset = Number(getHeader(headers, 'x-ratelimit-reset'))
+    if (reset) return Math.max(0, reset * 1000 - Date.now())
+  }
+  return null
+}
+
+function isRetryable(error, idempotent) {
+  const status = error.status
+  if (status === 429) return true
+  // GitHub reports secondary rate limits as 403 with a Retry-After or an exhausted quota
+  if (status === 403) return retryAfterMs(error) !== null
+  if (status) return idempotent && (status === 408 || status >= 500)
+  const cause = error.cause || {}
+  if (NOT_SENT_ERROR_CODES.has(error.code) || NOT_SENT_ERROR_CODES.has(cause.code)) return true
+  // OpenAI SDK connection errors keep the generic `name`, so their class name is checked too
+  return (
+    idempotent &&
+    ([error.name, error.constructor?.name].some(name => CONNECTION_ERROR_NAMES.has(name)) ||
+      NETWORK_ERROR_CODES.has(error.code) ||
+      NETWORK_ERROR_CODES.has(cause.code) ||
+      error.message === 'fetch failed')
+  )
+}
+
+// Delay before retry number `attempt + 1`, or null when the error should not be retried
+function retryDelay(error, attempt, idempotent) {
+  if (!isRetryable(error, idempotent)) return null
+  const retryAfter = retryAfterMs(error)
+  if (retryAfter !== null) return retryAfter <= MAX_RETRY_AFTER_MS ? retryAfter : null
+  // Equal jitter: half the exponential delay plus a random share of the other half
+  const ceiling = Math.min(MAX_DELAY_MS, BASE_DELAY_MS * 2 ** attempt)
+  return ceiling / 2 + Math.random() * (ceiling / 2)
+}
+
+export async function withRetries(request, { retries, label, idempotent = true, onRetry = () => {} }) {
+  for (let attempt = 0; ; attempt++) {
+    try {
+      return await request()
+    } catch (error) {
+      const delay = attempt < retries ? retryDelay(error, attempt, idempotent) : null
+      if (delay === null) throw error
+      console.warn(
+        `${label} failed (${error.status || error.code || error.name}: ${error.message}); retrying in ${(delay / 1000).toFixed(1)}s (${attempt + 1}/${retries})`,
+      )
+      onRetry()
+      await new Promise(resolve => setTimeout(resolve, delay))
+    }
+  }
+}
+
+// GraphQL queries are POSTs too, but only mutations change anything
+export function isIdempotentRequest({ method, url, query }) {
+  if (IDEMPOTENT_METHODS.has(String(method).toUpperCase())) return true
+  return /\/graphql$/.test(url) && !/^\s*mutation\b/.test(query || '')
+}
+
+// Apply the policy to every Octokit request, GraphQL included, with a timeout per attempt
+export function addOctokitRetries(octo, { retries, timeoutMs }) {
+  octo.hook.wrap('request', (request, options) =>
+    withRetries(() => request({ ...options, request: { ...options.request, signal: AbortSignal.timeout(timeoutMs) } }), {
+      retries,
+      label: `GitHub ${options.method} ${options.url}`,
+      idempotent: isIdempotentRequest(options),
+    }),
+  )
+}
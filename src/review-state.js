@@ -0,0 +1,94 @@
+// Hidden review state embedded in the summary comment so later runs can pick up where this one stopped.
+// The payload is base64 JSON so model-generated text can never close the HTML comment early.
+const STATE_PREFIX = '<!-- ai-code-review-state:'
+const STATE_SUFFIX = ' -->'
+const STATE_VERSION = 1
+const MAX_STATE_ISSUES = 100
+
+// Leaves room in the summary comment, which GitHub caps at 65536 characters, for the visible report
+export const MAX_STATE_CHARS = 30000
+const COMPACT_TEXT_CHARS = 300
+
+function encodePayload(payload) {
+  return `${STATE_PREFIX}${Buffer.from(JSON.stringify(payload), 'utf8').toString('base64')}${STATE_SUFFIX}`
+}
+
+function compactIssue(issue) {
+  const { fix, verification, ...rest } = issue
+  return {
+    ...rest,
+    fix: null,
+    detail: String(issue.detail || '').slice(0, COMPACT_TEXT_CHARS),
+    ...(issue.suggestion ? { suggestion: String(issue.suggestion).slice(0, COMPACT_TEXT_CHARS) } : {}),
+  }
+}
+
+// `ignored` lists findings suppressed with `/ai-review ignore`: [{ fingerprint, file, title, reason, by }].
+// `resolved` lists earlier findings that later runs no longer reported.
+// A state over MAX_STATE_CHARS sheds the oldest resolved history first, then the fixes and long text of
+// its findings, then its last findings, so it is never cut off mid-payload.
+export function encodeReviewState({ headSha, issues, ignored = [], resolved = [] }) {
+  const payload = {
+    version: STATE_VERSION,
+    headSha,
+    issues: issues.slice(0, MAX_STATE_ISSUES),
+    ignored,
+    resolved,
+  }
+  let encoded = encodePayload(payload)
+  let compacted = false
+  while (encoded.length > MAX_STATE_CHARS) {
+    if (payload.resolved.length) {
+      payload.resolved = payload.resolved.slice(0, Math.floor(payload.resolved.length / 2))
+    } else if (!compacted) {
+      payload.issues = payload.issues.map(compactIssue)
+      compacted = true
+    } else if (payload.issues.length) {
+      payload.issues = payload.issues.slice(0, Math.floor(payload.issues.length / 2))
+    } else {
+      break
+    }
+    encoded = encodePayload(payload)
+  }
+  return encoded
+}
+
+// The marker-wrapped summary comment; only the visible report is shortened to fit, never the state
+export function buildStateComment({ marker, state, report, maxChars }) {
+  const notice = '\n\n[Comment truncated for size. See artifact for full report.]'
+  const room = maxChars - state.length - marker.length * 2 - 3
+  const body = report.length <= room ? report : `${report.slice(0, Math.max(0, room - notice.length))}${notice}`
+  return `${marker}\n${state}\n${body}\n${marker}`
+}
+
+export function parseReviewState(body) {
+  if (!body) return null
+  const start = body.indexOf(STATE_PREFIX)
+  if (start === -1) return null
+  const end = body.indexOf(STATE_SUFFIX, start + STATE_PREFIX.length)
+  if (end === -1) return null
+
+  try {
+    const payload = JSON.parse(
+      Buffer.from(body.slice(start + STATE_PREFIX.length, end), 'base64').toString('utf8'),
+    )
+    if (payload?.version !== STATE_VERSION || typeof payload.headSha !== 'string') return null
+    return {
+      headSha: payload.headSha,
+      issues: Array.isArray(payload.issues) ? payload.issues : [],
+      ignored: Array.isArray(payload.ignored) ? payload.ignored : [],
+      resolved: Array.isArray(payload.resolved) ? payload.resolved : [],
+    }
+  } catch (error) {
+    console.warn('Could not parse previous review state:', error.message)
+    return null
+  }
+}
+
+// Swap the state block of an existing summary comment, leaving the visible report untouched
+export function replaceReviewState(body, state) {
+  const start = body.indexOf(STATE_PREFIX)
+  const end = start === -1 ? -1 : body.indexOf(STATE_SUFFIX, start + STATE_PREFIX.length)
+  if (end === -1) return body
+  return `${body.slice(0, start)}${encodeReviewState(state)}${body.slice(end + STATE_SUFFIX.length)}`
+}
@@ -1,29 +1,176 @@
 import fs from 'node:fs'
+import path from 'node:path'
 import { execFileSync } from 'node:child_process'
 import { Octokit } from '@octokit/rest'
-import { OpenAI } from 'openai'
+import { escapeMarkdown } from './markdown.js'
+import {
+  INLINE_MARKER_PREFIX,
+  inlineCommentKey,
+  parseInlineCommentKey,
+  postInlineReview,
+  syncInlineThreads,
+} from './inline-review.js'
+import { buildAnnotations, getCheckConclusion, publishCheckRun } from './check-run.js'
+import { buildStateComment, encodeReviewState, parseReviewState, replaceReviewState } from './review-state.js'
+import { carryForwardFindings, getIncrementalChanges, mergeIncrementalReview } from './incremental.js'
+import { RISK_ORDER, SEVERITY_ORDER, normalizePath, riskFromIssues } from './severity.js'
+import { buildDiffChunks, formatDiffNotice, mapWithConcurrency, mergeChunkReviews, splitUnifiedDiff } from './chunking.js'
+import { createProvider } from './providers/index.js'
+import { loadRepoConfig } from './config.js'
+import { matchesPathPatterns, parsePathPatterns } from './globs.js'
+import { createSourceReader } from './source.js'
+import { applySuppressions, loadBaseline } from './suppressions.js'
+import { buildSarifReport } from './sarif.js'
+import { createHeadFileReader, gatherReviewContext } from './context.js'
+import { createRepositoryTools } from './agent-tools.js'
+import { mergeResolvedHistory, trackFindings } from './finding-history.js'
+import { applyVerifications, findIssueDiff, getVerifierPrompt, verificationSchema } from './verifier.js'
+import { isBlockingForPasses, mergePassReviews, resolveReviewPasses, tagReviewWithPass } from './passes.js'
+import { createUsageTracker, estimateRequest, parseModelPrices } from './usage.js'
+import { addOctokitRetries } from './retry.js'
+import { syncReviewLabels } from './labels.js'
+import { loadCodeowners, requestFindingReviewers } from './reviewers.js'
+import { getCommitRangeChanges, getCommitRangeSpec, upsertCommitComment } from './commit-range.js'
+import {
+  DEFAULT_PR_ARTIFACT_PATH,
+  readPullRequestArtifact,
+  verifyPullRequestArtifact,
+  writePullRequestArtifact,
+} from './pr-artifact.js'
+import {
+  UNTRUSTED_DATA_NOTICE,
+  findPromptInjections,
+  isTextInjectionFinding,
+  mergeInjectionFindings,
+  untrustedBlock,
+} from './prompt-injection.js'
+import {
+  DEFAULT_ENTROPY_THRESHOLD,
+  createRedactor,
+  parseRedactionAllowlist,
+  parseRedactionRules,
+} from './redaction.js'
+import {
+  ANSWER_MARKER,
+  COMMAND_HELP,
+  COMMAND_PERMISSIONS,
+  answerResponseSchema,
+  formatCommandReply,
+  getAnswerPrompt,
+  getCommenterPermission,
+  hasCommandPermission,
+  parseReviewCommand,
+} from './commands.js'
 
 const isLocalMode = process.argv.includes('--local')
+// Local runs are configured by the `ai-review` CLI (src/cli.js) or these environment variables
+const localDiff = process.env.AI_REVIEW_DIFF || 'branch'
+const localPaths = parsePathPatterns(process.env.AI_REVIEW_PATHS || '')
+const localFormat = process.env.AI_REVIEW_FORMAT || ''
 
 // Get inputs from GitHub Action environment
 const {
   INPUT_GITHUB_TOKEN: GITHUB_TOKEN,
   INPUT_OPENAI_API_KEY,
   OPENAI_API_KEY,
-  INPUT_AI_MODEL: AI_MODEL = 'gpt-5.5',
-  INPUT_MAX_DIFF_CHARS: MAX_DIFF_CHARS = '180000',
-  INPUT_MAX_REVIEW_FILES: MAX_REVIEW_FILES = '100',
-  INPUT_MAX_OUTPUT_TOKENS: MAX_OUTPUT_TOKENS = '6000',
-  INPUT_REASONING_EFFORT: REASONING_EFFORT = 'medium',
-  INPUT_FAIL_ON_SEVERITY: FAIL_ON_SEVERITY = '["high","critical","security"]',
-  INPUT_REVIEW_INSTRUCTIONS: REVIEW_INSTRUCTIONS = '',
-  INPUT_MAX_REVIEW_INSTRUCTIONS_CHARS: MAX_REVIEW_INSTRUCTIONS_CHARS = '12000',
+  INPUT_AI_API_KEY,
+  AI_API_KEY,
+  ANTHROPIC_API_KEY,
+  AZURE_OPENAI_API_KEY,
+  INPUT_AZURE_API_VERSION: AZURE_API_VERSION = '2024-10-21',
+  INPUT_CONFIG_PATH: CONFIG_PATH = '',
+  INPUT_COMMIT_RANGE: COMMIT_RANGE = '',
+  INPUT_STAGE: STAGE = '',
+  INPUT_PR_ARTIFACT: PR_ARTIFACT = '',
   GITHUB_REPOSITORY,
 } = process.env
 
-const REVIEW_OPENAI_API_KEY = INPUT_OPENAI_API_KEY || OPENAI_API_KEY
+// Load the repository config file; workflow inputs always win over it
+const configDir = isLocalMode
+  ? runGit(['rev-parse', '--show-toplevel'])
+  : process.env.GITHUB_WORKSPACE || process.cwd()
+const repoConfig = loadRepoConfig(configDir, CONFIG_PATH.trim())
+if (repoConfig.path) {
+  console.log(`⚙️ Loaded review config from ${repoConfig.path}`)
+}
+
+function setting(key, fallback) {
+  const input = process.env[`INPUT_${key.toUpperCase()}`]
+  if (input !== undefined && input.trim() !== '') return input
+  return repoConfig.config[key] ?? fallback
+}
+
+const AI_PROVIDER = String(setting('ai_provider', 'openai'))
+const AI_BASE_URL = String(setting('ai_base_url', ''))
+const AI_MODEL = String(setting('ai_model', 'gpt-5.5'))
+const MAX_DIFF_CHARS = setting('max_diff_chars', '180000')
+const MAX_REVIEW_FILES = setting('max_review_files', '100')
+const MAX_OUTPUT_TOKENS = setting('max_output_tokens', '6000')
+const REASONING_EFFORT = String(setting('reasoning_effort', 'medium'))
+const FAIL_ON_SEVERITY = setting('fail_on_severity', '["high","critical","security"]')
+const REVIEW_INSTRUCTIONS = String(setting('review_instructions', ''))
+const MAX_REVIEW_INSTRUCTIONS_CHARS = setting('max_review_instructions_chars', '12000')
+const INLINE_COMMENTS = String(setting('inline_comments', 'true'))
+const CHECK_NAME = String(setting('check_name', 'AI Code Review'))
+const REVIEW_SCOPE = String(setting('review_scope', 'full'))
+const MAX_REVIEW_CHUNKS = setting('max_review_chunks', '4')
+const REVIEW_CONCURRENCY = setting('review_concurrency', '2')
+const includePaths = parsePathPatterns(setting('include_paths', []))
+const excludePaths = parsePathPatterns(setting('exclude_paths', []))
+const pathOverrides = repoConfig.config.overrides || []
+const SARIF_PATH = String(setting('sarif_path', '')).trim()
+const INCLUDE_CONTEXT = String(setting('include_context', 'false'))
+const MAX_CONTEXT_CHARS = setting('max_context_chars', '40000')
+const REVIEW_MODE = String(setting('review_mode', 'standard'))
+const MAX_AGENT_STEPS = setting('max_agent_steps', '8')
+const MAX_AGENT_TOOL_BYTES = setting('max_agent_tool_bytes', '100000')
+const COMMAND_PERMISSION = String(setting('command_permission', 'write'))
+const VERIFY_FINDINGS = String(setting('verify_findings', 'false'))
+const VERIFIER_MODEL = String(setting('verifier_model', ''))
+const VERIFIER_MIN_CONFIDENCE = setting('verifier_min_confidence', '0.5')
+const REVIEW_PASSES = setting('review_passes', [])
+const MODEL_PRICES = setting('model_prices', {})
+const MAX_COST_USD = String(setting('max_cost_usd', ''))
+const MAX_INPUT_TOKENS = String(setting('max_input_tokens', ''))
+const MAX_RETRIES = String(setting('max_retries', '3'))
+const REQUEST_TIMEOUT_SECONDS = setting('request_timeout_seconds', '300')
+const FAIL_ON_ERROR = String(setting('fail_on_error', 'true'))
+const MANAGE_LABELS = String(setting('manage_labels', 'false'))
+const LABEL_PREFIX = String(setting('label_prefix', 'ai-'))
+const requestReviewers = parsePathPatterns(setting('request_reviewers', []))
+const REQUEST_CODEOWNERS = String(setting('request_codeowners', 'false'))
+const REQUEST_REVIEWERS_ON = setting('request_reviewers_on', '["security","critical"]')
+const COMMIT_REPORT = String(setting('commit_report', 'both'))
+const DETECT_PROMPT_INJECTION = String(setting('detect_prompt_injection', 'true'))
+const PROMPT_INJECTION_SEVERITY = String(setting('prompt_injection_severity', 'medium'))
+const EXCLUDE_FORK_PR_BODY = String(setting('exclude_fork_pr_body', 'false'))
+const REDACTION_RULES = setting('redaction_rules', [])
+const REDACTION_ALLOWLIST = setting('redaction_allowlist', [])
+const REDACT_HIGH_ENTROPY = String(setting('redact_high_entropy', 'true'))
+const REDACTION_ENTROPY_THRESHOLD = setting('redaction_entropy_threshold', String(DEFAULT_ENTROPY_THRESHOLD))
+const baseline = loadBaseline(configDir, String(setting('baseline_path', '')).trim())
+if (baseline.path) {
+  console.log(`🔕 Loaded ${baseline.entries.size} baseline suppression(s) from ${baseline.path}`)
+}
 
-if (!REVIEW_OPENAI_API_KEY) throw new Error('Missing openai_api_key input')
+const aiProvider = AI_PROVIDER.trim().toLowerCase() || 'openai'
+const PROVIDER_ENV_KEYS = {
+  openai: OPENAI_API_KEY,
+  azure: AZURE_OPENAI_API_KEY,
+  anthropic: ANTHROPIC_API_KEY,
+}
+const REVIEW_API_KEY =
+  INPUT_AI_API_KEY || INPUT_OPENAI_API_KEY || AI_API_KEY || PROVIDER_ENV_KEYS[aiProvider] || OPENAI_API_KEY
+
+// `collect` is the unprivileged first stage of the fork workflow: it only saves the pull request diff
+const stage = STAGE.trim().toLowerCase() || 'review'
+if (!['review', 'collect'].includes(stage)) throw new Error(`Invalid stage "${STAGE}" (expected review or collect)`)
+const isCollectStage = !isLocalMode && stage === 'collect'
+
+// Self-hosted OpenAI-compatible servers commonly run without authentication
+if (!REVIEW_API_KEY && aiProvider !== 'openai-compatible' && !isCollectStage) {
+  throw new Error('Missing ai_api_key (or openai_api_key) input')
+}
 if (!isLocalMode && !GITHUB_TOKEN) throw new Error('Missing github_token input')
 if (!isLocalMode && (!GITHUB_REPOSITORY || !GITHUB_REPOSITORY.includes('/'))) {
   throw new Error('Missing or invalid GITHUB_REPOSITORY (expected owner/repo)')
@@ -32,18 +179,45 @@ if (!isLocalMode && (!GITHUB_REPOSITORY || !GITHUB_REPOSITORY.includes('/'))) {
 const [owner, repo] = isLocalMode ? [null, null] : GITHUB_REPOSITORY.split('/')
 
 // Get PR number from GitHub event or environment
+const eventName = process.env.GITHUB_EVENT_NAME || ''
+let event = null
 let prNumber
 if (!isLocalMode && process.env.GITHUB_EVENT_PATH) {
   try {
-    const event = JSON.parse(fs.readFileSync(process.env.GITHUB_EVENT_PATH, 'utf8'))
-    prNumber = event.pull_request?.number
+    event = JSON.parse(fs.readFileSync(process.env.GITHUB_EVENT_PATH, 'utf8'))
+    // issue_comment events carry the PR as an issue with a pull_request link
+    prNumber = event.pull_request?.number ?? (event.issue?.pull_request ? event.issue.number : undefined)
   } catch (error) {
     console.warn('Could not read GitHub event:', error.message)
   }
 }
 
+const commentEvent =
+  !isLocalMode && ['issue_comment', 'pull_request_review_comment'].includes(eventName) ? event : null
+if (commentEvent && !prNumber) {
+  console.log('Comment is not on a pull request; nothing to do.')
+  process.exit(0)
+}
+
+// The privileged stage of the fork workflow reviews the pull request saved by the collect stage
+const isArtifactRun = !isLocalMode && eventName === 'workflow_run'
+const prArtifactPath = path.resolve(
+  process.env.GITHUB_WORKSPACE || process.cwd(),
+  PR_ARTIFACT.trim() || DEFAULT_PR_ARTIFACT_PATH,
+)
+const prArtifact = isArtifactRun ? readPullRequestArtifact(prArtifactPath) : null
+if (prArtifact) prNumber = prArtifact.number
+
+// Pushes, and manual or scheduled runs without a pull request, review a commit range instead
+const COMMIT_RANGE_EVENTS = ['push', 'workflow_dispatch', 'schedule']
+const isCommitRangeRun =
+  !isLocalMode &&
+  !prNumber &&
+  COMMIT_RANGE_EVENTS.includes(eventName) &&
+  (eventName === 'push' || COMMIT_RANGE.trim() !== '' || !process.env.PR_NUMBER)
+
 // Fallback to parsing from GITHUB_REF
-if (!isLocalMode && !prNumber) {
+if (!isLocalMode && !isCommitRangeRun && !prNumber) {
   prNumber = parseInt(
     process.env.GITHUB_REF?.match(/refs\/pull\/(\d+)\/merge/)?.[1] ||
       process.env.GITHUB_REF_NAME ||
@@ -53,34 +227,127 @@ if (!isLocalMode && !prNumber) {
   )
 }
 
-if (!isLocalMode && !Number.isInteger(prNumber)) {
+if (!isLocalMode && !isCommitRangeRun && !Number.isInteger(prNumber)) {
   throw new Error('Unable to determine pull request number from GitHub event or environment')
 }
 
+const parsedMaxRetries = parseInt(MAX_RETRIES, 10)
+const retryPolicy = {
+  retries: Number.isInteger(parsedMaxRetries) && parsedMaxRetries >= 0 ? parsedMaxRetries : 3,
+  timeoutMs: parsePositiveInt(REQUEST_TIMEOUT_SECONDS, 300) * 1000,
+}
+const failOnError = FAIL_ON_ERROR.trim().toLowerCase() !== 'false'
+const manageLabels = MANAGE_LABELS.trim().toLowerCase() === 'true'
+const requestCodeowners = REQUEST_CODEOWNERS.trim().toLowerCase() === 'true'
+const detectPromptInjection = DETECT_PROMPT_INJECTION.trim().toLowerCase() !== 'false'
+const promptInjectionSeverity = SEVERITY_ORDER.includes(PROMPT_INJECTION_SEVERITY.trim().toLowerCase())
+  ? PROMPT_INJECTION_SEVERITY.trim().toLowerCase()
+  : 'medium'
+const excludeForkPrBody = EXCLUDE_FORK_PR_BODY.trim().toLowerCase() === 'true'
+const commitReport = ['comment', 'check'].includes(COMMIT_REPORT.trim().toLowerCase())
+  ? COMMIT_REPORT.trim().toLowerCase()
+  : 'both'
 const octo = isLocalMode ? null : new Octokit({ auth: GITHUB_TOKEN })
-const openai = new OpenAI({ apiKey: REVIEW_OPENAI_API_KEY })
+if (octo) addOctokitRetries(octo, retryPolicy)
+const provider = isCollectStage
+  ? null
+  : createProvider(aiProvider, {
+      apiKey: REVIEW_API_KEY,
+      baseUrl: AI_BASE_URL.trim(),
+      apiVersion: AZURE_API_VERSION.trim(),
+      ...retryPolicy,
+    })
 const maxDiffChars = parsePositiveInt(MAX_DIFF_CHARS, 180000)
-const maxReviewFiles = Math.min(parsePositiveInt(MAX_REVIEW_FILES, 100), 100)
+// The most files one listFiles page returns
+const MAX_LISTED_FILES = 100
+const maxReviewFiles = Math.min(parsePositiveInt(MAX_REVIEW_FILES, MAX_LISTED_FILES), MAX_LISTED_FILES)
 const maxOutputTokens = parsePositiveInt(MAX_OUTPUT_TOKENS, 6000)
+const maxReviewChunks = parsePositiveInt(MAX_REVIEW_CHUNKS, 4)
+const reviewConcurrency = parsePositiveInt(REVIEW_CONCURRENCY, 2)
 const validReasoningEfforts = new Set(['low', 'medium', 'high'])
 const reasoningEffort = validReasoningEfforts.has(REASONING_EFFORT) ? REASONING_EFFORT : 'medium'
-
-let failOn
-try {
-  const parsed = JSON.parse(FAIL_ON_SEVERITY)
-  if (!Array.isArray(parsed)) {
-    throw new Error('FAIL_ON_SEVERITY must be a JSON array')
-  }
-  const validSeverities = ['info', 'low', 'medium', 'high', 'critical', 'security']
-  const invalid = parsed.filter(s => !validSeverities.includes(s))
-  if (invalid.length > 0) {
-    throw new Error(`Invalid severities in FAIL_ON_SEVERITY: ${invalid.join(', ')}`)
+const inlineComments = INLINE_COMMENTS.trim().toLowerCase() !== 'false'
+const reviewScope = REVIEW_SCOPE.trim().toLowerCase() === 'incremental' ? 'incremental' : 'full'
+const includeContext = INCLUDE_CONTEXT.trim().toLowerCase() === 'true'
+const maxContextChars = parsePositiveInt(MAX_CONTEXT_CHARS, 40000)
+const reviewMode = REVIEW_MODE.trim().toLowerCase() === 'agentic' ? 'agentic' : 'standard'
+const maxAgentSteps = parsePositiveInt(MAX_AGENT_STEPS, 8)
+const maxAgentToolBytes = parsePositiveInt(MAX_AGENT_TOOL_BYTES, 100000)
+// Workflow inputs list pass names; the config file can also define custom passes
+const reviewPasses = resolveReviewPasses(
+  Array.isArray(REVIEW_PASSES)
+    ? REVIEW_PASSES
+    : String(REVIEW_PASSES)
+        .split(/[\n,]/)
+        .map(name => name.trim())
+        .filter(Boolean),
+)
+const verifyFindings = VERIFY_FINDINGS.trim().toLowerCase() === 'true'
+const verifierModel = VERIFIER_MODEL.trim() || AI_MODEL
+const parsedMinConfidence = Number(VERIFIER_MIN_CONFIDENCE)
+const verifierMinConfidence =
+  Number.isFinite(parsedMinConfidence) && parsedMinConfidence >= 0 && parsedMinConfidence <= 1 ? parsedMinConfidence : 0.5
+const commandPermission = COMMAND_PERMISSIONS.includes(COMMAND_PERMISSION.trim().toLowerCase())
+  ? COMMAND_PERMISSION.trim().toLowerCase()
+  : 'write'
+
+// Budgets are hard limits, so an unusable value fails the run instead of being ignored
+const modelPrices = parseModelPrices(MODEL_PRICES)
+const maxCostUsd = MAX_COST_USD.trim() ? Number(MAX_COST_USD) : null
+const maxInputTokens = MAX_INPUT_TOKENS.trim() ? Number(MAX_INPUT_TOKENS) : null
+if (maxCostUsd !== null && !(maxCostUsd > 0)) throw new Error('max_cost_usd must be a positive number')
+if (maxInputTokens !== null && !(Number.isInteger(maxInputTokens) && maxInputTokens > 0)) {
+  throw new Error('max_input_tokens must be a positive integer')
+}
+if (maxCostUsd !== null) {
+  const unpriced = [AI_MODEL, ...(verifyFindings ? [verifierModel] : [])].filter(model => !modelPrices[model])
+  if (unpriced.length) throw new Error(`max_cost_usd needs a model_prices entry for: ${[...new Set(unpriced)].join(', ')}`)
+}
+const usageTracker = createUsageTracker({ provider, prices: modelPrices, maxCostUsd, maxInputTokens })
+// Invalid custom rules fail the run: a rule that silently never matches would leak what it was meant to hide
+const parsedEntropyThreshold = Number(REDACTION_ENTROPY_THRESHOLD)
+const redactor = createRedactor({
+  customRules: parseRedactionRules(REDACTION_RULES),
+  allowlist: parseRedactionAllowlist(REDACTION_ALLOWLIST),
+  entropyThreshold:
+    REDACT_HIGH_ENTROPY.trim().toLowerCase() === 'false'
+      ? null
+      : parsedEntropyThreshold > 0
+        ? parsedEntropyThreshold
+        : DEFAULT_ENTROPY_THRESHOLD,
+})
+const REVIEW_MARKER = '<!-- ai-code-review-bot -->'
+
+// A JSON array (or config list) of severities; invalid input is reported and replaced by the default
+function parseSeverityList(value, name, fallback) {
+  try {
+    const parsed = Array.isArray(value) ? value : JSON.parse(value)
+    if (!Array.isArray(parsed)) {
+      throw new Error(`${name} must be a JSON array`)
+    }
+    const invalid = parsed.filter(s => !SEVERITY_ORDER.includes(s))
+    if (invalid.length > 0) {
+      throw new Error(`Invalid severities in ${name}: ${invalid.join(', ')}`)
+    }
+    return new Set(parsed)
+  } catch (error) {
+    console.error(`Failed to parse ${name}:`, error.message)
+    console.error(`Using default: ${JSON.stringify(fallback)}`)
+    return new Set(fallback)
   }
-  failOn = new Set(parsed)
-} catch (error) {
-  console.error('Failed to parse FAIL_ON_SEVERITY:', error.message)
-  console.error('Using default: ["high", "critical", "security"]')
-  failOn = new Set(['high', 'critical', 'security'])
+}
+
+const failOn = parseSeverityList(FAIL_ON_SEVERITY, 'FAIL_ON_SEVERITY', ['high', 'critical', 'security'])
+const requestReviewersOn = parseSeverityList(REQUEST_REVIEWERS_ON, 'REQUEST_REVIEWERS_ON', ['security', 'critical'])
+
+// The last matching per-path override with its own fail_on_severity decides for that file. Otherwise
+// the passes that reported the finding decide, each by its own policy or the global one.
+function isBlockingIssue(issue) {
+  const override = pathOverrides.findLast(
+    entry => entry.fail_on_severity && matchesPathPatterns(issue.file, entry.paths),
+  )
+  if (override) return override.fail_on_severity.includes(issue.severity)
+  return isBlockingForPasses(issue, reviewPasses, failOn)
 }
 
 function truncate(str, n) {
@@ -111,12 +378,17 @@ function runGit(args, options = {}) {
 }
 
 function cleanInstructions(text, maxChars) {
-  return truncate(sanitizeDiff(text.trim()), maxChars)
+  return truncate(redactor.redact(text.trim(), 'review instructions'), maxChars)
 }
 
-function getReviewInstructions() {
+function getReviewInstructions(fileNames = []) {
   const maxChars = parsePositiveInt(MAX_REVIEW_INSTRUCTIONS_CHARS, 12000)
-  return REVIEW_INSTRUCTIONS.trim() ? cleanInstructions(REVIEW_INSTRUCTIONS, maxChars) : ''
+  // Per-path instructions are only sent when the diff touches a matching file
+  const pathInstructions = pathOverrides
+    .filter(entry => entry.instructions?.trim() && fileNames.some(name => matchesPathPatterns(name, entry.paths)))
+    .map(entry => `For files matching ${entry.paths.join(', ')}:\n${entry.instructions.trim()}`)
+  const instructions = [REVIEW_INSTRUCTIONS.trim(), ...pathInstructions].filter(Boolean).join('\n\n')
+  return instructions ? cleanInstructions(instructions, maxChars) : ''
 }
 
 // Exclude obviously sensitive files and paths from being sent to AI
@@ -185,15 +457,24 @@ function isAllowedFile(filename) {
   )
 }
 
+function getExclusionReason(filename) {
+  // The sensitive-file deny list always applies; path patterns can't re-include those files
+  if (isSensitiveFile(filename)) return 'sensitive pattern'
+  if (matchesPathPatterns(filename, excludePaths)) return 'exclude_paths'
+  if (includePaths.length) {
+    return matchesPathPatterns(filename, includePaths) ? null : 'not in include_paths'
+  }
+  return isAllowedFile(filename) ? null : 'not allowed extension'
+}
+
 function filterSafeFiles(files) {
   const excluded = []
   const included = []
 
   for (const file of files) {
-    if (isSensitiveFile(file.filename)) {
-      excluded.push(`${file.filename} (sensitive pattern)`)
-    } else if (!isAllowedFile(file.filename)) {
-      excluded.push(`${file.filename} (not allowed extension)`)
+    const reason = getExclusionReason(file.filename)
+    if (reason) {
+      excluded.push({ file: file.filename, reason })
     } else {
       included.push(file)
     }
@@ -202,168 +483,209 @@ function filterSafeFiles(files) {
   // Log excluded files for auditability
   if (excluded.length > 0) {
     console.log(`Excluded ${excluded.length} files from AI review:`)
-    excluded.slice(0, 20).forEach(reason => console.log(`  - ${reason}`))
+    excluded.slice(0, 20).forEach(({ file, reason }) => console.log(`  - ${file} (${reason})`))
     if (excluded.length > 20) {
       console.log(`  - ...and ${excluded.length - 20} more`)
     }
   }
 
   console.log(`Including ${included.length} files in AI review`)
-  return included
+  return { included, excluded }
 }
 
-function getLocalReviewContext() {
-  const repoRoot = runGit(['rev-parse', '--show-toplevel'])
+function getPathFilterMetadata(excluded) {
+  return {
+    pathFilters: { includePaths, excludePaths },
+    exclusions: excluded.slice(0, 100),
+  }
+}
+
+// The branch since its merge base with BASE_REF, the staged changes, or all uncommitted changes to tracked files
+function getLocalDiffRange(repoRoot) {
+  if (localDiff === 'staged') return { args: ['--cached'], description: 'staged changes' }
+  if (localDiff === 'working-tree') return { args: ['HEAD'], description: 'uncommitted changes' }
   const baseRef = process.env.BASE_REF || 'origin/main'
   const mergeBase = runGit(['merge-base', baseRef, 'HEAD'], { cwd: repoRoot })
-  const changedFiles = runGit(['diff', '--name-only', `${mergeBase}...HEAD`], { cwd: repoRoot })
+  return { args: [`${mergeBase}...HEAD`], description: `changes against base ref \`${baseRef}\`` }
+}
+
+function getLocalReviewContext() {
+  const repoRoot = runGit(['rev-parse', '--show-toplevel'])
+  const range = getLocalDiffRange(repoRoot)
+  const changedFiles = runGit(['diff', '--name-only', ...range.args, '--', ...localPaths], { cwd: repoRoot })
     .split('\n')
     .map(name => name.trim())
     .filter(Boolean)
 
-  const safeFiles = filterSafeFiles(changedFiles.map(filename => ({ filename })))
+  const { included: safeFiles, excluded } = filterSafeFiles(changedFiles.map(filename => ({ filename })))
   const includedFileNames = safeFiles.map(file => file.filename)
   const rawDiff =
     includedFileNames.length > 0
-      ? runGit(['diff', '--no-ext-diff', '--unified=3', `${mergeBase}...HEAD`, '--', ...includedFileNames], {
+      ? runGit(['diff', '--no-ext-diff', '--unified=3', ...range.args, '--', ...includedFileNames], {
           cwd: repoRoot,
         })
       : ''
   const branchName = runGit(['rev-parse', '--abbrev-ref', 'HEAD'], { cwd: repoRoot })
+  const diffFiles = splitUnifiedDiff(rawDiff)
+  const patch = buildDiffChunks(diffFiles, { maxChunkChars: maxDiffChars, maxChunks: maxReviewChunks })
 
   return {
     title: `Local review for ${branchName}`,
-    body: `Local AI review against base ref \`${baseRef}\` from branch \`${branchName}\`.`,
-    diff: rawDiff,
+    body: `Local AI review of ${range.description} on branch \`${branchName}\`.`,
+    chunks: patch.chunks,
     diffMetadata: {
       totalChangedFiles: changedFiles.length,
       reviewedFiles: includedFileNames.length,
       excludedFiles: changedFiles.length - includedFileNames.length,
+      ...getPathFilterMetadata(excluded),
       fileListCapped: false,
       maxReviewFiles: null,
-      oversizedFiles: [],
-      diffCappedByBuilder: false,
+      oversizedFiles: patch.metadata.oversizedFiles,
+      skippedFiles: patch.metadata.skippedFiles,
+      diffCappedByBuilder: patch.metadata.diffCappedByBuilder,
       diffTruncated: false,
-      originalDiffChars: rawDiff.length,
+      originalDiffChars: patch.metadata.originalDiffChars,
       maxDiffChars,
+      maxReviewChunks,
     },
-    reviewInstructions: getReviewInstructions(),
+    reviewInstructions: getReviewInstructions(includedFileNames),
     workspaceDir: repoRoot,
+    files: diffFiles,
     shouldPostComment: false,
     shouldUpdateCheck: false,
     prNumber: null,
   }
 }
 
-// Conservative redaction of obvious secrets only
-function sanitizeDiff(diffText) {
-  let sanitized = diffText
+// Commit headlines stand in for a pull request description
+const MAX_RANGE_COMMIT_HEADLINES = 50
 
-  // Only redact very obvious secret patterns to avoid breaking code
-
-  // PEM blocks (clear delimiters)
-  sanitized = sanitized.replace(
-    /-----BEGIN [^-]+-----[\s\S]*?-----END [^-]+-----/g,
-    '[REDACTED_PEM_BLOCK]',
-  )
-
-  // AWS Access Key IDs (very specific format)
-  sanitized = sanitized.replace(/AKIA[0-9A-Z]{16}/g, '[REDACTED_AWS_KEY]')
-
-  // GitHub tokens (all known prefixes)
-  sanitized = sanitized.replace(/gh[a-z]{1,3}_[A-Za-z0-9_-]{20,}/gi, '[REDACTED_GITHUB_TOKEN]')
-
-  // Long base64-looking strings (likely secrets, 40+ chars)
-  sanitized = sanitized.replace(/[A-Za-z0-9\/+=]{40,}/g, match => {
-    // Only redact if it looks like a standalone secret (not code)
-    if (/^[A-Za-z0-9\/+=]+$/.test(match) && match.length >= 40) {
-      return '[REDACTED_LONG_STRING]'
-    }
-    return match
+// Returns null when there is nothing to review (a push that deleted the branch)
+async function getCommitRangeReviewContext() {
+  const spec = getCommitRangeSpec({
+    eventName,
+    event,
+    commitRange: COMMIT_RANGE.trim(),
+    sha: process.env.GITHUB_SHA,
   })
-
-  return sanitized
-}
-
-function formatUnifiedPatch(files, maxChars) {
-  // GitHub's listFiles returns `patch` (unified diff) per file; concatenate safely.
-  let out = ''
-  let totalSize = 0
-  const maxFileSize = Math.min(25000, maxChars)
-  const maxTotalSize = maxChars
-  const oversizedFiles = []
-  let diffCappedByBuilder = false
-
-  for (const f of files) {
-    if (!f.patch) continue
-    if (f.patch.length > maxFileSize) {
-      out += `\n--- a/${f.filename}\n+++ b/${f.filename}\n[File too large for review]\n`
-      oversizedFiles.push(f.filename)
-      continue
-    }
-    if (totalSize + f.patch.length > maxTotalSize) {
-      out += `\n[Additional files truncated for size]\n`
-      diffCappedByBuilder = true
-      break
-    }
-    out += `\n--- a/${f.filename}\n+++ b/${f.filename}\n${f.patch}\n`
-    totalSize += f.patch.length
+  if (!spec) return null
+  const range = await getCommitRangeChanges(octo, { owner, repo, ...spec })
+  const rangeLabel = `${range.baseSha.slice(0, 7)}...${range.headSha.slice(0, 7)}`
+  console.log(`🔗 Reviewing ${range.totalCommits} commit(s) in ${rangeLabel} (${eventName} event)`)
+
+  const files = range.files.slice(0, maxReviewFiles)
+  const fileListCapped = range.files.length > files.length
+  if (fileListCapped) {
+    console.log(`Review file list capped at ${maxReviewFiles} files for speed.`)
   }
+  const { included: safeFiles, excluded } = filterSafeFiles(files)
+  const patch = buildDiffChunks(safeFiles, { maxChunkChars: maxDiffChars, maxChunks: maxReviewChunks })
+  const headlines = range.commits
+    .slice(-MAX_RANGE_COMMIT_HEADLINES)
+    .map(commit => `- ${commit.sha.slice(0, 7)} ${commit.message.split('\n')[0]}`)
+
   return {
-    diff: out,
-    metadata: {
-      oversizedFiles,
-      diffCappedByBuilder,
-      originalDiffChars: out.length,
-      maxDiffChars: maxChars,
+    title: `Commits ${rangeLabel}`,
+    body: [
+      `AI review of ${range.totalCommits} commit(s) outside a pull request.`,
+      ...(headlines.length ? ['', 'Commits:', ...headlines] : []),
+    ].join('\n'),
+    chunks: patch.chunks,
+    diffMetadata: {
+      totalChangedFiles: range.files.length,
+      fetchedFiles: files.length,
+      reviewedFiles: safeFiles.length,
+      excludedFiles: files.length - safeFiles.length,
+      ...getPathFilterMetadata(excluded),
+      fileListCapped,
+      maxReviewFiles,
+      oversizedFiles: patch.metadata.oversizedFiles,
+      skippedFiles: patch.metadata.skippedFiles,
+      diffCappedByBuilder: patch.metadata.diffCappedByBuilder,
+      diffTruncated: false,
+      originalDiffChars: patch.metadata.originalDiffChars,
+      maxDiffChars,
+      maxReviewChunks,
+      commitRange: { baseSha: range.baseSha, headSha: range.headSha, commits: range.totalCommits },
     },
+    reviewInstructions: getReviewInstructions(safeFiles.map(file => file.filename)),
+    workspaceDir: process.env.GITHUB_WORKSPACE || process.cwd(),
+    shouldPostComment: false,
+    shouldPostCommitComment: commitReport !== 'check',
+    shouldUpdateCheck: commitReport !== 'comment',
+    prNumber: null,
+    headSha: range.headSha,
+    baseSha: range.baseSha,
+    files: safeFiles,
   }
 }
 
-async function createReviewResponse(params) {
-  try {
-    return await openai.responses.create(params)
-  } catch (error) {
-    const message = `${error.message || ''} ${error.error?.message || ''}`
-    const unsupportedFastOption =
-      /reasoning|max_output_tokens|temperature|store/i.test(message) &&
-      /unsupported|unknown|invalid|not supported|unrecognized/i.test(message)
-
-    if (!unsupportedFastOption) throw error
-
-    console.warn('Fast response options were not accepted by this model; retrying with compatibility options.')
-    const { reasoning, max_output_tokens, temperature, store, ...compatParams } = params
-    return openai.responses.create(compatParams)
-  }
+const SUPPRESSION_SOURCE_LABELS = {
+  baseline: 'baseline',
+  inline: 'ai-review-ignore',
+  command: '/ai-review ignore',
 }
 
-function escapeMarkdown(text) {
-  // Escape markdown special characters to prevent injection
-  return text.replace(/[[\\\]`*_{}()#+\-.!]/g, '\\$&')
+function formatUsage(usage) {
+  const reasoning = usage.reasoning_tokens ? ` (${usage.reasoning_tokens.toLocaleString('en-US')} reasoning)` : ''
+  const cost = usage.estimated_cost_usd === null ? '' : `, about $${usage.estimated_cost_usd.toFixed(4)}`
+  return (
+    `Model usage: ${usage.input_tokens.toLocaleString('en-US')} input and ${usage.output_tokens.toLocaleString('en-US')} output tokens${reasoning} ` +
+    `in ${usage.requests} request(s), ${(usage.wall_clock_ms / 1000).toFixed(1)}s${cost}`
+  )
 }
 
-function formatDiffNotice(metadata) {
-  if (!metadata) return []
-
-  const notices = []
-  if (metadata.fileListCapped) {
-    notices.push(
-      `Only the first ${metadata.fetchedFiles || metadata.maxReviewFiles} of ${metadata.totalChangedFiles} changed files were fetched for review.`,
-    )
+// Only the counts are kept; redacted values never reach the log or the report
+function recordRedactions(diffMetadata) {
+  const redactions = redactor.summary()
+  diffMetadata.redactions = redactions
+  if (redactions.total) {
+    const byRule = Object.entries(redactions.byRule).map(([rule, count]) => `${rule}: ${count}`)
+    console.log(`🔐 Redacted ${redactions.total} secret value(s) before review (${byRule.join(', ')})`)
   }
-  if (metadata.diffCappedByBuilder || metadata.diffTruncated) {
-    notices.push(
-      `The diff was truncated to ${metadata.maxDiffChars} characters from ${metadata.originalDiffChars} characters.`,
+}
+
+// Job summary and step outputs for later workflow steps; both files only exist inside GitHub Actions
+function writeWorkflowResults(parsed, report, reportPath) {
+  if (process.env.GITHUB_STEP_SUMMARY) {
+    fs.appendFileSync(
+      process.env.GITHUB_STEP_SUMMARY,
+      `${truncateComment(asMarkdown(parsed, report.diff_metadata, report.usage))}\n`,
     )
   }
-  if (metadata.oversizedFiles?.length) {
-    notices.push(`${metadata.oversizedFiles.length} oversized file diff(s) were skipped.`)
+  if (!process.env.GITHUB_OUTPUT) return
+
+  const usage = report.usage
+  const severityCounts = Object.fromEntries(
+    SEVERITY_ORDER.map(severity => [
+      `${severity}_count`,
+      parsed.issues.filter(issue => issue.severity === severity).length,
+    ]),
+  )
+  const outputs = {
+    overall_risk: parsed.overall_risk,
+    issue_count: parsed.issues.length,
+    ...severityCounts,
+    blocking: parsed.issues.some(isBlockingIssue),
+    report_path: reportPath,
+    input_tokens: usage.input_tokens,
+    output_tokens: usage.output_tokens,
+    reasoning_tokens: usage.reasoning_tokens,
+    model_requests: usage.requests,
+    model_retries: usage.retries,
+    duration_ms: usage.wall_clock_ms,
+    estimated_cost_usd: usage.estimated_cost_usd ?? '',
+    budget_exceeded: usage.budget.skipped_requests > 0,
   }
-
-  return notices
+  fs.appendFileSync(
+    process.env.GITHUB_OUTPUT,
+    Object.entries(outputs)
+      .map(([name, value]) => `${name}=${value}\n`)
+      .join(''),
+  )
 }
 
-function asMarkdown(review, diffMetadata = null) {
+function asMarkdown(review, diffMetadata = null, usage = null) {
   const lines = []
   lines.push(`### 🤖 AI Code Review (${review.overall_risk.toUpperCase()})`)
   lines.push('')
@@ -375,6 +697,18 @@ function asMarkdown(review, diffMetadata = null) {
   }
   lines.push(escapeMarkdown(review.summary))
   lines.push('')
+  if (review.changes) {
+    const { changes } = review
+    lines.push(
+      `**Changes since last review** (\`${changes.previous_head_sha.slice(0, 7)}\` → \`${changes.head_sha.slice(0, 7)}\`): ${changes.new} new, ${changes.persistent} still open, ${changes.resolved.length} resolved`,
+    )
+    for (const iss of changes.resolved) {
+      lines.push(
+        `- ✅ Resolved: [${iss.severity.toUpperCase()}] ${escapeMarkdown(iss.title)} — \`${iss.file}${iss.line ? `:${iss.line}` : ''}\``,
+      )
+    }
+    lines.push('')
+  }
   if (!review.issues.length) {
     lines.push('**No issues found.** ✅')
   } else {
@@ -384,15 +718,42 @@ function asMarkdown(review, diffMetadata = null) {
       const escapedDetail = escapeMarkdown(iss.detail)
       const escapedSuggestion = iss.suggestion ? escapeMarkdown(iss.suggestion) : ''
       lines.push(
-        `- **${i + 1}. [${iss.severity.toUpperCase()}] ${escapedTitle}** — \`${iss.file}${iss.line ? `:${iss.line}` : ''}\`\n` +
+        `- **${i + 1}. ${iss.status === 'new' && review.changes ? '🆕 ' : ''}[${iss.severity.toUpperCase()}] ${escapedTitle}** — \`${iss.file}${iss.line ? `:${iss.line}` : ''}\`\n` +
           `  ${escapedDetail}${escapedSuggestion ? `\n  **Suggestion:** ${escapedSuggestion}` : ''}`,
       )
     }
   }
+  if (review.suppressed?.length) {
+    lines.push('')
+    lines.push(`**Suppressed (${review.suppressed.length}):**`)
+    for (const iss of review.suppressed) {
+      const source = SUPPRESSION_SOURCE_LABELS[iss.suppression.source] || 'ai-review-ignore'
+      const reason = iss.suppression.reason ? `: ${escapeMarkdown(iss.suppression.reason)}` : ''
+      lines.push(
+        `- [${iss.severity.toUpperCase()}] ${escapeMarkdown(iss.title)} — \`${iss.file}${iss.line ? `:${iss.line}` : ''}\` (suppressed by ${source}${reason})`,
+      )
+    }
+  }
+  if (review.dropped?.length) {
+    lines.push('')
+    lines.push(`**Dropped by verifier (${review.dropped.length}):**`)
+    for (const iss of review.dropped) {
+      const confidence = Math.round(iss.verification.confidence * 100)
+      lines.push(
+        `- [${iss.severity.toUpperCase()}] ${escapeMarkdown(iss.title)} — \`${iss.file}${iss.line ? `:${iss.line}` : ''}\` (${confidence}% confidence: ${escapeMarkdown(iss.verification.reason)})`,
+      )
+    }
+  }
+  if (usage?.requests) {
+    lines.push('')
+    lines.push(`<sub>${formatUsage(usage)}</sub>`)
+  }
   return lines.join('\n')
 }
 
-function truncateComment(text, maxLen = 60000) {
+const MAX_COMMENT_CHARS = 60000
+
+function truncateComment(text, maxLen = MAX_COMMENT_CHARS) {
   if (text.length <= maxLen) return text
   return text.slice(0, maxLen) + '\n\n[Comment truncated for size. See artifact for full report.]'
 }
@@ -468,23 +829,14 @@ function extractIssuesFromText(text) {
       title,
       detail,
       suggestion,
-      tags: null
+      tags: null,
+      fix: null,
     })
   }
 
   // Fallback: determine overall risk from issue severities if not explicitly stated
   if (!riskMatch && issues.length > 0) {
-    const hasCritical = issues.some(i => i.severity === 'critical' || i.severity === 'security')
-    const hasHigh = issues.some(i => i.severity === 'high')
-    const hasMedium = issues.some(i => i.severity === 'medium')
-    
-    if (hasCritical) {
-      overall_risk = 'critical'
-    } else if (hasHigh) {
-      overall_risk = 'high'
-    } else if (hasMedium) {
-      overall_risk = 'medium'
-    }
+    overall_risk = riskFromIssues(issues)
   }
 
   return {
@@ -505,14 +857,14 @@ const reviewResponseSchema = {
     },
     overall_risk: {
       type: 'string',
-      enum: ['low', 'medium', 'high', 'critical'],
+      enum: RISK_ORDER,
     },
     issues: {
       type: 'array',
       items: {
         type: 'object',
         additionalProperties: false,
-        required: ['file', 'line', 'severity', 'title', 'detail', 'suggestion', 'tags'],
+        required: ['file', 'line', 'severity', 'title', 'detail', 'suggestion', 'tags', 'fix'],
         properties: {
           file: { type: 'string' },
           line: {
@@ -520,7 +872,7 @@ const reviewResponseSchema = {
           },
           severity: {
             type: 'string',
-            enum: ['info', 'low', 'medium', 'high', 'critical', 'security'],
+            enum: SEVERITY_ORDER,
           },
           title: { type: 'string' },
           detail: { type: 'string' },
@@ -531,19 +883,45 @@ const reviewResponseSchema = {
             type: ['array', 'null'],
             items: { type: 'string' },
           },
+          fix: {
+            type: ['object', 'null'],
+            description: 'Exact replacement for contiguous changed lines, or null when no small exact fix applies.',
+            additionalProperties: false,
+            required: ['start_line', 'end_line', 'original_code', 'replacement_code'],
+            properties: {
+              start_line: { type: 'integer' },
+              end_line: { type: 'integer' },
+              original_code: {
+                type: 'string',
+                description: 'The current lines start_line..end_line exactly as they appear in the new file.',
+              },
+              replacement_code: {
+                type: 'string',
+                description: 'Code that replaces those lines, with the same indentation style.',
+              },
+            },
+          },
         },
       },
     },
   },
 }
 
+function normalizeFix(fix) {
+  if (!fix || typeof fix !== 'object') return null
+  const { start_line, end_line, original_code, replacement_code } = fix
+  if (!Number.isInteger(start_line) || !Number.isInteger(end_line)) return null
+  if (typeof original_code !== 'string' || typeof replacement_code !== 'string') return null
+  return { start_line, end_line, original_code, replacement_code }
+}
+
 function normalizeReview(parsed) {
   const issues = Array.isArray(parsed.issues) ? parsed.issues : []
   return {
     summary: typeof parsed.summary === 'string' && parsed.summary.trim()
       ? parsed.summary.trim()
       : 'AI review completed',
-    overall_risk: ['low', 'medium', 'high', 'critical'].includes(parsed.overall_risk)
+    overall_risk: RISK_ORDER.includes(parsed.overall_risk)
       ? parsed.overall_risk
       : 'low',
     issues: issues
@@ -551,7 +929,7 @@ function normalizeReview(parsed) {
       .map(issue => ({
         file: typeof issue.file === 'string' && issue.file.trim() ? issue.file.trim() : 'unknown',
         line: Number.isInteger(issue.line) ? issue.line : null,
-        severity: ['info', 'low', 'medium', 'high', 'critical', 'security'].includes(issue.severity)
+        severity: SEVERITY_ORDER.includes(issue.severity)
           ? issue.severity
           : 'info',
         title: typeof issue.title === 'string' && issue.title.trim()
@@ -564,6 +942,7 @@ function normalizeReview(parsed) {
           ? issue.suggestion.trim()
           : null,
         tags: Array.isArray(issue.tags) ? issue.tags.filter(tag => typeof tag === 'string') : null,
+        fix: normalizeFix(issue.fix),
       })),
   }
 }
@@ -577,8 +956,14 @@ function parseReviewResponse(text) {
   }
 }
 
-function getReviewPrompt(prTitle, prBody, diff, reviewInstructions = '') {
-  const system = `Review this pull request from unified diffs only. Assume type checks, linting, and formatting already passed.
+function getReviewPrompt(
+  prTitle,
+  prBody,
+  diff,
+  { reviewInstructions = '', chunkLabel = '', codeContext = '', withTools = false, pass = null } = {},
+) {
+  const source = codeContext ? 'unified diffs plus read-only surrounding code' : 'unified diffs only'
+  const system = `Review this pull request from ${source}. Assume type checks, linting, and formatting already passed.
 
 Flag only high-confidence issues that can cause production bugs, security exposure, data loss/corruption, crashes, or clear runtime/build failures visible in the diff.
 
@@ -598,22 +983,616 @@ Use conservative severities:
 - medium: intermittent failure or degraded functionality.
 - low/info: rare edge cases or useful non-blocking observations.
 
-Prefer repo-specific instructions over generic assumptions. Combine duplicate root causes. Return all distinct high-confidence findings, or an empty issues array if the diff looks safe. Return only JSON matching the schema.`
+When a finding has a small, exact fix confined to contiguous added or context lines of one hunk, set fix with the new-file line range, original_code copied exactly from those diff lines (without the leading +/space marker), and replacement_code. Otherwise set fix to null.
+
+${
+    withTools
+      ? `You can call read_file, grep and list_dir to inspect the repository at the pull request head. Use them to confirm or rule out a suspected issue (callers, definitions, guards, configuration), not to review unchanged code. Tool calls are limited, so ask for specific files and line ranges.
+
+`
+      : ''
+  }${
+    pass
+      ? `This is the ${pass.name} review pass, one of several specialised passes over the same diff. ${pass.instructions}
+Leave other kinds of issues to the other passes.
+
+`
+      : ''
+  }Prefer repo-specific instructions over generic assumptions. Combine duplicate root causes. Return all distinct high-confidence findings, or an empty issues array if the diff looks safe. Return only JSON matching the schema.`
 
   const repoContext = reviewInstructions
     ? `\n\nRepository-specific review instructions:\n${reviewInstructions}\n`
     : ''
 
-  const user = `Pull Request Title: ${prTitle}
+  // A null description was left out on purpose (exclude_fork_pr_body)
+  const user = `Pull Request Title:
+${untrustedBlock('pull request title', prTitle)}
 
 Pull Request Description:
-${prBody}
-
-Unified Diff (truncated if large):
-${diff}
+${prBody === null ? '(not included for pull requests from forks)' : untrustedBlock('pull request description', prBody)}
+
+Unified Diff${chunkLabel ? ` (${chunkLabel} of this pull request; the remaining files are reviewed separately)` : ''}:
+${untrustedBlock('diff', diff)}
+${
+  codeContext
+    ? `
+Surrounding Code (read-only context at the PR head, prefixed with new-file line numbers; report only issues the diff introduces or exposes):
+${untrustedBlock('surrounding code', codeContext)}
 `
+    : ''
+}`
+
+  // The instructions travel in the provider's system or instructions role, apart from the untrusted input
+  return { instructions: `${system}\n\n${UNTRUSTED_DATA_NOTICE}${repoContext}`, input: user }
+}
+
+function suppressFindings(reviewContext, review) {
+  const getLine = createSourceReader({
+    workspaceDir: reviewContext.workspaceDir,
+    files: reviewContext.files,
+    isSensitiveFile,
+  })
+  // Findings ignored through `/ai-review ignore` behave like baseline entries for this pull request
+  const ignored = (reviewContext.ignored || []).map(entry => [
+    entry.fingerprint,
+    { ...entry, source: 'command', reason: `ignored by @${entry.by}${entry.reason ? `: ${entry.reason}` : ''}` },
+  ])
+  const result = applySuppressions(review, {
+    baseline: { ...baseline, entries: new Map([...baseline.entries, ...ignored]) },
+    getLine,
+  })
+  if (result.suppressed.length) {
+    console.log(`🔕 Suppressed ${result.suppressed.length} finding(s) by baseline or inline ai-review-ignore comments`)
+  }
+  return result
+}
+
+// Second pass: re-check each finding against its hunk so only confirmed findings are reported
+async function verifyReview(reviewContext, review, diffMetadata) {
+  if (!verifyFindings || !review.issues.length) return review
+
+  console.log(`🔎 Verifying ${review.issues.length} finding(s) with ${verifierModel}`)
+  const verifications = await mapWithConcurrency(review.issues, reviewConcurrency, async issue => {
+    try {
+      const { text } = await usageTracker.generate('verifier', {
+        model: verifierModel,
+        ...getVerifierPrompt(redactTitle(reviewContext.title), issue, redactor.redact(findIssueDiff(issue, reviewContext.files || []), issue.file)),
+        schema: verificationSchema,
+        schemaName: 'ai_review_verification',
+        maxOutputTokens,
+        reasoningEffort,
+      })
+      const result = JSON.parse(text)
+      // JSON mode and tool results are not held to the schema, so a response missing a field is invalid
+      if (!['keep', 'drop'].includes(result?.verdict)) throw new Error('verifier response has no verdict')
+      if (typeof result.confidence !== 'number' || result.confidence < 0 || result.confidence > 1) {
+        throw new Error('verifier response has no confidence between 0 and 1')
+      }
+      if (typeof result.reason !== 'string') throw new Error('verifier response has no reason')
+      return result
+    } catch (error) {
+      console.warn(`Could not verify finding "${issue.title}"; keeping it unverified:`, error.message)
+      return { error: error.message }
+    }
+  })
+
+  const verified = applyVerifications(review, verifications, { minConfidence: verifierMinConfidence, model: verifierModel })
+  diffMetadata.verification = {
+    model: verifierModel,
+    minConfidence: verifierMinConfidence,
+    checked: verifications.length,
+    dropped: verified.dropped.length,
+    errors: verifications.filter(result => result.error).length,
+  }
+  console.log(`🔎 Verifier kept ${verified.issues.length} and dropped ${verified.dropped.length} finding(s)`)
+  return verified
+}
+
+function getPromptInjections(reviewContext) {
+  if (!detectPromptInjection) return []
+  return findPromptInjections({
+    texts: [
+      { where: 'The pull request title', text: reviewContext.title },
+      { where: reviewContext.prNumber ? 'The pull request description' : 'The commit messages', text: reviewContext.body },
+    ],
+    files: reviewContext.files || [],
+    severity: promptInjectionSeverity,
+  })
+}
+
+// Compare with the findings recorded in the summary comment; only PR runs have that history.
+// `reviewedFiles` are the files sent to the model this run; only their earlier findings can be resolved.
+function trackReviewChanges(reviewContext, review, reviewedFiles) {
+  if (!reviewContext.shouldPostComment) return review
+  const tracked = trackFindings(review, {
+    previousState: reviewContext.previousState,
+    headSha: reviewContext.headSha,
+    reviewedFiles: new Set(reviewedFiles),
+  })
+  if (tracked.changes) {
+    console.log(
+      `🧾 Since ${tracked.changes.previous_head_sha.slice(0, 7)}: ${tracked.changes.new} new, ${tracked.changes.persistent} still open, ${tracked.changes.resolved.length} resolved`,
+    )
+  }
+  return tracked
+}
 
-  return `${system}${repoContext}\n\nUser Request:\n${user}`
+function writeSarifReport(reviewContext, parsed, timestamp) {
+  if (!SARIF_PATH) return null
+  const sarifPath = path.resolve(reviewContext.workspaceDir, SARIF_PATH)
+  fs.mkdirSync(path.dirname(sarifPath), { recursive: true })
+  fs.writeFileSync(sarifPath, JSON.stringify(buildSarifReport(parsed, { model: AI_MODEL, timestamp }), null, 2))
+  console.log(`SARIF report written to: ${sarifPath}`)
+  return sarifPath
+}
+
+async function findBotComment(issueNumber) {
+  const allComments = await octo.paginate(octo.issues.listComments, {
+    owner,
+    repo,
+    issue_number: issueNumber,
+    per_page: 100,
+  })
+  return allComments.find(c => c.body?.includes(REVIEW_MARKER)) || null
+}
+
+// A run that reviewed nothing (`skippedReason`) concludes neutral unless carried-forward findings block
+async function updateReviewCheck(reviewContext, parsed, diffMetadata, skippedReason = null) {
+  if (!reviewContext.shouldUpdateCheck) return
+
+  try {
+    const blocking = parsed.issues.filter(isBlockingIssue).length
+    const checkRun = await publishCheckRun(octo, {
+      owner,
+      repo,
+      headSha: reviewContext.headSha,
+      name: CHECK_NAME.trim() || 'AI Code Review',
+      conclusion: skippedReason && !blocking ? 'neutral' : getCheckConclusion(parsed.issues, isBlockingIssue),
+      title: skippedReason
+        ? `AI review skipped: ${skippedReason}`
+        : `${parsed.issues.length} finding(s), ${blocking} blocking — overall risk ${parsed.overall_risk}`,
+      summary: asMarkdown(parsed, diffMetadata),
+      annotations: buildAnnotations(parsed.issues),
+    })
+    console.log(`✅ Check run updated with ${checkRun.annotations} annotation(s): ${checkRun.url}`)
+  } catch (error) {
+    console.warn('Could not create check run (does the token have checks: write?):', error.message)
+  }
+}
+
+function isWorkspaceAtHead(workspaceDir, headSha) {
+  if (!headSha) return true
+  try {
+    return runGit(['rev-parse', 'HEAD'], { cwd: workspaceDir }) === headSha
+  } catch {
+    return false
+  }
+}
+
+// Attach read-only surrounding code for each chunk's files, each chunk with its own budget
+async function addChunkContext(reviewContext, chunks, diffMetadata) {
+  const readLines = createHeadFileReader({
+    octo,
+    owner,
+    repo,
+    ref: reviewContext.headSha,
+    workspaceDir: reviewContext.workspaceDir,
+    useWorkspace: isWorkspaceAtHead(reviewContext.workspaceDir, reviewContext.headSha),
+    isSensitiveFile,
+  })
+  const filesByName = new Map((reviewContext.files || []).map(file => [file.filename, file]))
+
+  for (const [i, chunk] of chunks.entries()) {
+    const context = await gatherReviewContext({
+      files: chunk.files.map(name => filesByName.get(name)).filter(Boolean),
+      readLines,
+      maxChars: maxContextChars,
+      isExcluded: filename => isSensitiveFile(filename) || matchesPathPatterns(filename, excludePaths),
+    })
+    chunk.context = redactor.redact(context.text, 'surrounding code')
+    diffMetadata.chunks[i].context = context.metadata
+  }
+
+  const perChunk = diffMetadata.chunks.map(chunk => chunk.context)
+  diffMetadata.context = {
+    maxContextChars,
+    includedSections: perChunk.reduce((sum, context) => sum + context.included.length, 0),
+    skippedSections: perChunk.reduce(
+      (sum, context) => sum + context.skipped.filter(entry => entry.reason === 'context budget').length,
+      0,
+    ),
+    chars: perChunk.reduce((sum, context) => sum + context.usedChars, 0),
+  }
+  console.log(
+    `📎 Added ${diffMetadata.context.includedSections} surrounding-code section(s) (${diffMetadata.context.chars} characters) as review context`,
+  )
+}
+
+// The title and description (or commit headlines) are written by the author, like the diff
+function redactTitle(title) {
+  return redactor.redact(title, 'title')
+}
+
+function redactBody(body) {
+  return body === null ? null : redactor.redact(body, 'description')
+}
+
+function getReviewRequest(reviewContext, chunk, chunkLabel, pass, tools) {
+  return {
+    model: AI_MODEL,
+    ...getReviewPrompt(redactTitle(reviewContext.title), redactBody(reviewContext.body), chunk.diff, {
+      reviewInstructions: reviewContext.reviewInstructions,
+      chunkLabel,
+      codeContext: chunk.context,
+      withTools: reviewMode === 'agentic',
+      pass,
+    }),
+    schema: reviewResponseSchema,
+    schemaName: 'ai_code_review',
+    maxOutputTokens,
+    reasoningEffort,
+    ...(tools ? { tools, maxToolSteps: maxAgentSteps } : {}),
+  }
+}
+
+// Number of leading chunks whose review requests (one per pass) fit in the usage budget. Estimates
+// are worst cases: the full context budget, and in agentic mode every tool step and tool byte.
+function countChunksInBudget(reviewContext, chunks) {
+  if (!usageTracker.hasBudget) return chunks.length
+  const passes = reviewPasses.length ? reviewPasses : [null]
+  const planned = []
+  for (const [index, chunk] of chunks.entries()) {
+    const chunkLabel = chunks.length > 1 ? `part ${index + 1} of ${chunks.length}` : ''
+    for (const pass of passes) {
+      planned.push(
+        estimateRequest({
+          ...getReviewRequest(reviewContext, chunk, chunkLabel, pass, null),
+          ...(reviewMode === 'agentic' ? { maxToolSteps: maxAgentSteps } : {}),
+          extraInputChars: (includeContext ? maxContextChars : 0) + (reviewMode === 'agentic' ? maxAgentToolBytes : 0),
+        }),
+      )
+    }
+    if (!usageTracker.fits(planned)) return index
+  }
+  return chunks.length
+}
+
+async function reviewDiffChunk(reviewContext, chunk, chunkLabel, pass = null) {
+  // Agentic mode gives each chunk its own read-only tools and output budget
+  const tools =
+    reviewMode === 'agentic'
+      ? createRepositoryTools({
+          workspaceDir: reviewContext.workspaceDir,
+          isSensitiveFile,
+          isExcluded: filename => matchesPathPatterns(filename, excludePaths),
+          redact: text => redactor.redact(text, 'agent tool output'),
+          maxBytes: maxAgentToolBytes,
+        })
+      : null
+  const { text, toolSteps } = await usageTracker.generate(
+    'review',
+    getReviewRequest(reviewContext, chunk, chunkLabel, pass, tools),
+    { extraInputChars: tools ? maxAgentToolBytes : 0 },
+  )
+  const label = [chunkLabel, pass && `${pass.name} pass`].filter(Boolean).join(', ')
+  console.log(`✅ ${provider.name} review call succeeded${label ? ` (${label})` : ''}`)
+  if (tools) {
+    console.log(`🧰 Model used ${toolSteps} tool step(s) with ${tools.transcript.length} tool call(s)`)
+  }
+
+  if (!text || text.trim() === '') {
+    console.error('❌ AI returned empty response')
+    throw new Error('AI returned empty response')
+  }
+
+  console.log('📝 AI Response length:', text.length)
+
+  // Parse structured response, with a text-parser fallback for older model/action behavior.
+  const parsed = parseReviewResponse(text)
+  console.log('✅ Successfully parsed AI response')
+  return { text, parsed, ...(tools ? { transcript: { steps: toolSteps, calls: tools.transcript } } : {}) }
+}
+
+// The summary comment carries the hidden state, so it is updated on every PR run, even one with
+// nothing new to review; otherwise the next incremental run would start from a stale head
+async function postReviewComment(reviewContext, parsed, diffMetadata, usage) {
+  // The hidden state records the reviewed head so the next incremental run knows where to start
+  const state = encodeReviewState({
+    headSha: reviewContext.headSha,
+    issues: parsed.issues,
+    ignored: reviewContext.ignored,
+    resolved: mergeResolvedHistory(reviewContext.previousState, parsed.changes),
+  })
+  const bodyMd = buildStateComment({
+    marker: REVIEW_MARKER,
+    state,
+    report: asMarkdown(parsed, diffMetadata, usage),
+    maxChars: MAX_COMMENT_CHARS,
+  })
+  const botComment = reviewContext.botComment
+
+  if (botComment) {
+    await octo.issues.updateComment({
+      owner,
+      repo,
+      comment_id: botComment.id,
+      body: bodyMd,
+    })
+  } else {
+    await octo.issues.createComment({
+      owner,
+      repo,
+      issue_number: reviewContext.prNumber,
+      body: bodyMd,
+    })
+  }
+
+  // Anchor findings to diff lines; anything outside the diff stays in the summary comment only
+  if (inlineComments && parsed.issues.length) {
+    try {
+      const inline = await postInlineReview(octo, {
+        owner,
+        repo,
+        prNumber: reviewContext.prNumber,
+        headSha: reviewContext.headSha,
+        issues: parsed.issues,
+        files: reviewContext.files,
+      })
+      console.log(
+        `💬 Posted ${inline.posted} inline comment(s) (${inline.skipped} already present, ${inline.unanchored} outside the diff)`,
+      )
+      if (inline.suggestions || inline.droppedFixes) {
+        console.log(
+          `🩹 ${inline.suggestions} suggested change(s) posted; ${inline.droppedFixes} fix(es) dropped because they did not match the PR head`,
+        )
+      }
+    } catch (error) {
+      console.warn('Could not post inline review comments:', error.message)
+    }
+  }
+
+  // Close the threads of fixed findings; reopen a thread when its finding comes back
+  if (inlineComments && parsed.changes) {
+    const openKeys = new Set(parsed.issues.map(inlineCommentKey))
+    try {
+      const threads = await syncInlineThreads(octo, {
+        owner,
+        repo,
+        prNumber: reviewContext.prNumber,
+        resolveKeys: new Set(parsed.changes.resolved.map(inlineCommentKey).filter(key => !openKeys.has(key))),
+        openKeys: new Set(parsed.issues.filter(issue => issue.status === 'new').map(inlineCommentKey)),
+      })
+      if (threads.resolved || threads.reopened) {
+        console.log(`🧵 Resolved ${threads.resolved} and reopened ${threads.reopened} inline thread(s)`)
+      }
+    } catch (error) {
+      console.warn('Could not update inline review threads:', error.message)
+    }
+  }
+}
+
+// Labels mirror the current review; reviewers are requested when a finding at a triggering severity
+// first appears (findings still open from an earlier review already had their reviewers requested)
+async function routePullRequest(reviewContext, parsed) {
+  if (manageLabels) {
+    try {
+      const labels = await syncReviewLabels(octo, {
+        owner,
+        repo,
+        prNumber: reviewContext.prNumber,
+        currentLabels: reviewContext.labels,
+        review: parsed,
+        prefix: LABEL_PREFIX.trim(),
+      })
+      if (labels.added.length || labels.removed.length) {
+        console.log(`🏷️ Labels added: ${labels.added.join(', ') || 'none'}; removed: ${labels.removed.join(', ') || 'none'}`)
+      }
+    } catch (error) {
+      console.warn('Could not update pull request labels (does the token have pull-requests: write?):', error.message)
+    }
+  }
+
+  const triggering = parsed.issues.filter(issue => requestReviewersOn.has(issue.severity) && issue.status !== 'persistent')
+  if (!triggering.length || (!requestReviewers.length && !requestCodeowners)) return
+  try {
+    const requested = await requestFindingReviewers(octo, {
+      owner,
+      repo,
+      prNumber: reviewContext.prNumber,
+      author: reviewContext.author,
+      handles: requestReviewers,
+      codeowners: requestCodeowners ? await loadCodeowners(octo, { owner, repo, ref: reviewContext.baseSha }) : null,
+      issues: triggering,
+    })
+    const names = [...requested.reviewers.map(name => `@${name}`), ...requested.teamReviewers.map(slug => `team ${slug}`)]
+    if (names.length) {
+      console.log(`👀 Requested reviews from ${names.join(', ')} for ${triggering.length} ${[...requestReviewersOn].join('/')} finding(s)`)
+    }
+  } catch (error) {
+    console.warn('Could not request reviewers:', error.message)
+  }
+}
+
+async function reactToComment(comment, isThread, content) {
+  try {
+    const params = { owner, repo, comment_id: comment.id, content }
+    await (isThread
+      ? octo.reactions.createForPullRequestReviewComment(params)
+      : octo.reactions.createForIssueComment(params))
+  } catch (error) {
+    console.warn('Could not react to comment:', error.message)
+  }
+}
+
+// Inline threads get a threaded reply; PR conversation comments get a new comment
+function postCommandReply(comment, isThread, body) {
+  return isThread
+    ? octo.pulls.createReplyForReviewComment({
+        owner,
+        repo,
+        pull_number: prNumber,
+        comment_id: comment.in_reply_to_id || comment.id,
+        body: truncateComment(body),
+      })
+    : octo.issues.createComment({ owner, repo, issue_number: prNumber, body: truncateComment(body) })
+}
+
+async function answerQuestion({ question, finding, findingIndex, findings }) {
+  const { data: pr } = await octo.pulls.get({ owner, repo, pull_number: prNumber })
+  const { data: files } = await octo.pulls.listFiles({ owner, repo, pull_number: prNumber, per_page: maxReviewFiles })
+  const { included } = filterSafeFiles(files)
+  const findingFiles = finding ? included.filter(file => file.filename === normalizePath(finding.file)) : []
+  const patch = buildDiffChunks(findingFiles.length ? findingFiles : included, { maxChunkChars: maxDiffChars, maxChunks: 1 })
+
+  const { text } = await usageTracker.generate('answer', {
+    model: AI_MODEL,
+    ...getAnswerPrompt({
+      prTitle: redactTitle(pr.title || ''),
+      question: redactor.redact(question, 'comment'),
+      finding,
+      findingIndex,
+      findings,
+      diff: truncate(redactor.redact(patch.chunks[0]?.diff || '', 'diff'), maxDiffChars),
+    }),
+    schema: answerResponseSchema,
+    schemaName: 'ai_review_answer',
+    maxOutputTokens,
+    reasoningEffort,
+  })
+  try {
+    return JSON.parse(text).answer
+  } catch {
+    return text
+  }
+}
+
+// Handle an `/ai-review` command (or a reply on an inline finding thread). Resolves to 'recheck'
+// when a full review should follow, 'handled' when the comment was answered, and null otherwise.
+async function handleCommentCommand(event) {
+  const comment = event.comment
+  const isThread = eventName === 'pull_request_review_comment'
+  if (event.action !== 'created' || !comment?.body) return null
+  // Never respond to bots, including this action's own comments
+  if (
+    comment.user?.type === 'Bot' ||
+    [REVIEW_MARKER, ANSWER_MARKER, INLINE_MARKER_PREFIX].some(marker => comment.body.includes(marker))
+  ) {
+    return null
+  }
+
+  let command = parseReviewCommand(comment.body)
+  let threadKey = null
+  if (isThread && comment.in_reply_to_id) {
+    const { data: parent } = await octo.pulls.getReviewComment({ owner, repo, comment_id: comment.in_reply_to_id })
+    threadKey = parseInlineCommentKey(parent.body)
+  }
+  if (!command && threadKey) command = { name: 'ask', question: comment.body.trim() }
+  if (!command) return null
+
+  const login = comment.user?.login
+  const permission = await getCommenterPermission(octo, { owner, repo, username: login })
+  if (!hasCommandPermission(permission, commandPermission)) {
+    console.log(`Ignoring /ai-review ${command.name} from @${login}: needs ${commandPermission} access, has ${permission}`)
+    await reactToComment(comment, isThread, 'confused')
+    return null
+  }
+  await reactToComment(comment, isThread, 'eyes')
+  console.log(`💬 Handling /ai-review ${command.name} from @${login}`)
+
+  if (command.name === 'recheck') return 'recheck'
+  const reply = text => postCommandReply(comment, isThread, formatCommandReply(login, text))
+  if (command.name === 'help') {
+    await reply(COMMAND_HELP)
+    return 'handled'
+  }
+
+  // Findings are numbered as in the summary comment; thread replies refer to the thread's finding
+  const botComment = await findBotComment(prNumber)
+  const state = parseReviewState(botComment?.body)
+  const findings = state?.issues || []
+  const threadIndex = threadKey ? findings.findIndex(issue => inlineCommentKey(issue) === threadKey) + 1 : 0
+  const findingIndex = command.index ?? (threadIndex || null)
+  const finding = findingIndex ? findings[findingIndex - 1] || null : null
+  if (command.index && !finding) {
+    await reply(`The last review has no finding ${command.index}; it reported ${findings.length} finding(s).`)
+    return 'handled'
+  }
+
+  if (command.name === 'ignore') {
+    if (!finding) {
+      await reply("Say which finding to ignore, e.g. `/ai-review ignore 2 intentional`, or reply on the finding's inline thread.")
+    } else if (!finding.fingerprint) {
+      await reply(`Finding ${findingIndex} has no fingerprint yet. Comment \`/ai-review recheck\` first, then ignore it again.`)
+    } else {
+      const ignored = [
+        ...state.ignored.filter(entry => entry.fingerprint !== finding.fingerprint),
+        { fingerprint: finding.fingerprint, file: finding.file, title: finding.title, reason: command.reason, by: login },
+      ]
+      await octo.issues.updateComment({
+        owner,
+        repo,
+        comment_id: botComment.id,
+        body: replaceReviewState(botComment.body, { ...state, ignored }),
+      })
+      await reply(
+        `Finding ${findingIndex} (**${escapeMarkdown(finding.title)}**) will be suppressed in later reviews of this pull request. Comment \`/ai-review recheck\` to update the check now.`,
+      )
+    }
+    return 'handled'
+  }
+
+  const question =
+    command.name === 'explain'
+      ? finding
+        ? 'Explain this finding in more detail: why it is a problem, when it triggers, and how to fix it.'
+        : 'Explain the findings of the last review in more detail, and which to fix first.'
+      : command.question
+  await reply(await answerQuestion({ question, finding, findingIndex, findings }))
+  return 'handled'
+}
+
+// With fail_on_error: false a failed run (for example an AI outage) ends as a neutral check instead of
+// blocking the merge
+async function reportReviewError(reviewContext, error) {
+  const message = String(error?.message || error).split('\n')[0]
+  console.log(`::warning title=AI review skipped::The review could not be completed: ${message}`)
+  if (process.env.GITHUB_STEP_SUMMARY) {
+    fs.appendFileSync(
+      process.env.GITHUB_STEP_SUMMARY,
+      `### 🤖 AI Code Review (SKIPPED)\n\nThe review could not be completed: ${escapeMarkdown(message)}\n`,
+    )
+  }
+  if (process.env.GITHUB_OUTPUT) {
+    fs.appendFileSync(process.env.GITHUB_OUTPUT, `blocking=false\nerror=${message}\n`)
+  }
+
+  const headSha =
+    reviewContext?.headSha || (commentEvent ? null : event?.pull_request?.head?.sha || prArtifact?.headSha)
+  if (isLocalMode || !headSha) return
+  try {
+    await publishCheckRun(octo, {
+      owner,
+      repo,
+      headSha,
+      name: CHECK_NAME.trim() || 'AI Code Review',
+      conclusion: 'neutral',
+      title: 'AI review skipped after an error',
+      summary: `The review could not be completed and \`fail_on_error\` is false, so this check does not block the merge.\n\n${escapeMarkdown(message)}`,
+      annotations: [],
+    })
+  } catch (checkError) {
+    console.warn('Could not create check run:', checkError.message)
+  }
+}
+
+// Both stages list the same page of files, so the review stage can check the artifact against it
+async function collectPullRequest() {
+  const { data: pr } = await octo.pulls.get({ owner, repo, pull_number: prNumber })
+  const { data: files } = await octo.pulls.listFiles({ owner, repo, pull_number: prNumber, per_page: MAX_LISTED_FILES })
+  writePullRequestArtifact(prArtifactPath, { repository: GITHUB_REPOSITORY, pr, files })
+  console.log(
+    `📦 Saved pull request #${pr.number} (${files.length} file(s) at ${pr.head.sha.slice(0, 7)}) to ${prArtifactPath}; upload it as an artifact for the review stage`,
+  )
 }
 
 function printLocalJsonReport(report) {
@@ -623,79 +1602,203 @@ function printLocalJsonReport(report) {
 }
 
 function printLocalSummary(parsed, reportPath, report = null) {
-  console.log(asMarkdown(parsed, report?.diff_metadata))
+  // The CLI's json and sarif formats print only the result on stdout
+  if (localFormat === 'json') {
+    process.stdout.write(`${JSON.stringify(report, null, 2)}\n`)
+    return
+  }
+  if (localFormat === 'sarif') {
+    process.stdout.write(`${JSON.stringify(buildSarifReport(parsed, { model: AI_MODEL, timestamp: report.timestamp }), null, 2)}\n`)
+    return
+  }
+  console.log(asMarkdown(parsed, report?.diff_metadata, report?.usage))
   console.log('')
   console.log(`Report: ${reportPath}`)
-  if (report) {
+  if (report && localFormat !== 'md') {
     console.log('')
     printLocalJsonReport(report)
   }
 }
 
 ;(async () => {
+  let reviewContext
   try {
-    let reviewContext
+    // Comment commands are answered in place; only `/ai-review recheck` goes on to a full review
+    let forceFullReview = false
+    if (commentEvent) {
+      if ((await handleCommentCommand(commentEvent)) !== 'recheck') process.exit(0)
+      forceFullReview = true
+    }
+
+    if (isCollectStage) {
+      await collectPullRequest()
+      process.exit(0)
+    }
+
     if (isLocalMode) {
       reviewContext = getLocalReviewContext()
+    } else if (isCommitRangeRun) {
+      reviewContext = await getCommitRangeReviewContext()
+      if (!reviewContext) {
+        console.log('The push deleted the branch; nothing to review.')
+        process.exit(0)
+      }
     } else {
       const { data: pr } = await octo.pulls.get({ owner, repo, pull_number: prNumber })
-      const { data: files } = await octo.pulls.listFiles({
+      const { data: listedFiles } = await octo.pulls.listFiles({
         owner,
         repo,
         pull_number: prNumber,
-        per_page: maxReviewFiles,
+        per_page: prArtifact ? MAX_LISTED_FILES : maxReviewFiles,
       })
+      if (prArtifact) {
+        const moved = verifyPullRequestArtifact(prArtifact, {
+          repository: GITHUB_REPOSITORY,
+          workflowRun: event.workflow_run,
+          pr,
+          files: listedFiles,
+        })
+        if (moved) {
+          console.log(`Skipping the review: ${moved}; the run for the new head reviews it.`)
+          process.exit(0)
+        }
+        console.log(`📦 Reviewing pull request #${prNumber} from the verified artifact of the collect stage`)
+      }
+      const files = listedFiles.slice(0, maxReviewFiles)
       const changedFilesCount = pr.changed_files ?? files.length
       const fileListCapped = changedFilesCount > files.length
       if (fileListCapped) {
         console.log(`Review file list capped at ${maxReviewFiles} files for speed.`)
       }
-      const safeFiles = filterSafeFiles(files)
-      const patch = formatUnifiedPatch(safeFiles, maxDiffChars)
+      const { included: safeFiles, excluded } = filterSafeFiles(files)
+
+      // Incremental scope reviews only the compare diff since the head recorded in the summary comment
+      const botComment = await findBotComment(prNumber)
+      const previousState = parseReviewState(botComment?.body)
+      const { changes: incremental, reason: fullReviewReason, error: compareError } =
+        reviewScope === 'incremental' && !forceFullReview
+          ? await getIncrementalChanges(octo, { owner, repo, previousState, headSha: pr.head.sha })
+          : { changes: null }
+      if (compareError) {
+        console.warn(`${fullReviewReason}; running a full review:`, compareError.message)
+      } else if (fullReviewReason) {
+        console.log(`${fullReviewReason}; running a full review.`)
+      }
+      const safeFileNames = new Set(safeFiles.map(file => file.filename))
+      const reviewFiles = incremental
+        ? incremental.files.filter(file => safeFileNames.has(file.filename))
+        : safeFiles
+      const carriedIssues = incremental
+        ? carryForwardFindings(
+            normalizeReview({ issues: previousState.issues.filter(issue => !isTextInjectionFinding(issue)) }).issues,
+            incremental.files,
+          )
+        : []
+      if (incremental) {
+        console.log(
+          `🔁 Incremental review of ${reviewFiles.length} file(s) changed since ${incremental.baseSha.slice(0, 7)}; carrying forward ${carriedIssues.length} earlier finding(s)`,
+        )
+      }
+
+      const patch = buildDiffChunks(reviewFiles, { maxChunkChars: maxDiffChars, maxChunks: maxReviewChunks })
+      // A deleted fork leaves no head repository, which still counts as a fork
+      const fromFork = pr.head.repo?.full_name !== pr.base.repo?.full_name
+      if (fromFork && excludeForkPrBody) {
+        console.log('🙈 Leaving out the description of this pull request from a fork')
+      }
       reviewContext = {
         title: pr.title || '',
-        body: pr.body || '',
-        diff: patch.diff,
+        body: fromFork && excludeForkPrBody ? null : pr.body || '',
+        chunks: patch.chunks,
         diffMetadata: {
           totalChangedFiles: changedFilesCount,
           fetchedFiles: files.length,
-          reviewedFiles: safeFiles.length,
+          reviewedFiles: reviewFiles.length,
           excludedFiles: files.length - safeFiles.length,
+          ...getPathFilterMetadata(excluded),
           fileListCapped,
           maxReviewFiles,
           oversizedFiles: patch.metadata.oversizedFiles,
+          skippedFiles: patch.metadata.skippedFiles,
           diffCappedByBuilder: patch.metadata.diffCappedByBuilder,
           diffTruncated: false,
           originalDiffChars: patch.metadata.originalDiffChars,
           maxDiffChars,
+          maxReviewChunks,
+          reviewScope: incremental ? 'incremental' : 'full',
+          ...(incremental
+            ? {
+                incrementalBaseSha: incremental.baseSha,
+                incrementalCommits: incremental.commits,
+                carriedForwardFindings: carriedIssues.length,
+              }
+            : {}),
         },
-        reviewInstructions: getReviewInstructions(),
+        reviewInstructions: getReviewInstructions(reviewFiles.map(file => file.filename)),
         workspaceDir: process.env.GITHUB_WORKSPACE || process.cwd(),
         shouldPostComment: true,
         shouldUpdateCheck: true,
         prNumber,
+        headSha: pr.head.sha,
+        baseSha: pr.base.sha,
+        author: pr.user?.login,
+        labels: (pr.labels || []).map(label => label.name),
+        files: safeFiles,
+        botComment,
+        carriedIssues,
+        ignored: previousState?.ignored || [],
+        previousState,
       }
     }
 
-    const redactedDiff = sanitizeDiff(reviewContext.diff)
-    const truncatedDiff = truncateWithMetadata(redactedDiff, maxDiffChars)
-    const diff = truncatedDiff.text
+    // Redaction can change lengths, so each chunk is re-checked against the budget afterwards
+    const reviewableChunks = reviewContext.chunks
+      .map(chunk => {
+        const truncatedDiff = truncateWithMetadata(redactor.redact(chunk.diff, 'diff'), maxDiffChars)
+        return { files: chunk.files, diff: truncatedDiff.text, truncated: truncatedDiff.truncated }
+      })
+      .filter(chunk => chunk.diff.trim())
+    // A usage budget shrinks the review by leaving out trailing chunks rather than overspending
+    const chunks = reviewableChunks.slice(0, countChunksInBudget(reviewContext, reviewableChunks))
+    const budgetSkippedFiles = reviewableChunks.slice(chunks.length).flatMap(chunk => chunk.files)
+    if (budgetSkippedFiles.length) {
+      usageTracker.skip((reviewableChunks.length - chunks.length) * Math.max(reviewPasses.length, 1))
+      console.warn(
+        `💸 ${reviewableChunks.length - chunks.length} of ${reviewableChunks.length} review chunk(s) left out to stay within the usage budget`,
+      )
+    }
     const diffMetadata = {
       ...reviewContext.diffMetadata,
-      diffTruncated: reviewContext.diffMetadata?.diffTruncated || truncatedDiff.truncated,
-      originalDiffChars: Math.max(
-        reviewContext.diffMetadata?.originalDiffChars || 0,
-        truncatedDiff.originalChars,
-      ),
+      diffTruncated: reviewContext.diffMetadata?.diffTruncated || chunks.some(chunk => chunk.truncated),
       maxDiffChars,
+      totalChunks: chunks.length,
+      chunks: chunks.map((chunk, i) => ({
+        index: i + 1,
+        files: chunk.files,
+        chars: chunk.diff.length,
+        truncated: chunk.truncated,
+      })),
+      ...(budgetSkippedFiles.length ? { budgetSkippedFiles } : {}),
     }
 
-    if (!diff.trim()) {
-      const parsed = {
-        summary: 'No reviewable code changes were found in the current diff.',
-        overall_risk: 'low',
-        issues: [],
-      }
+    if (!chunks.length) {
+      const carriedIssues = reviewContext.carriedIssues || []
+      // Nothing was reviewed, so an exhausted budget must not read as a clean review
+      const budgetExhausted = budgetSkippedFiles.length > 0
+      const parsed = trackReviewChanges(
+        reviewContext,
+        suppressFindings(reviewContext, {
+          summary: budgetExhausted
+            ? 'Nothing was reviewed: the usage budget (`max_cost_usd` or `max_input_tokens`) was exhausted before the first review chunk.'
+            : carriedIssues.length
+              ? 'No reviewable code changes since the last review; earlier findings were carried forward.'
+              : 'No reviewable code changes were found in the current diff.',
+          overall_risk: riskFromIssues(carriedIssues),
+          issues: carriedIssues,
+        }),
+        [],
+      )
+      recordRedactions(diffMetadata)
       const reportFileName = `ai-review-report-${Date.now()}.json`
       const reportPath = `${reviewContext.workspaceDir}/${reportFileName}`
       const fullReport = {
@@ -704,12 +1807,35 @@ function printLocalSummary(parsed, reportPath, report = null) {
         timestamp: new Date().toISOString(),
         model: AI_MODEL,
         mode: isLocalMode ? 'local' : 'github-action',
+        reviewed_head_sha: reviewContext.headSha || null,
         diff_metadata: diffMetadata,
+        usage: usageTracker.summary(),
       }
       fs.writeFileSync(reportPath, JSON.stringify(fullReport, null, 2))
+      writeSarifReport(reviewContext, parsed, fullReport.timestamp)
+      writeWorkflowResults(parsed, fullReport, reportPath)
+      if (reviewContext.shouldPostComment) {
+        await postReviewComment(reviewContext, parsed, diffMetadata, fullReport.usage)
+        await routePullRequest(reviewContext, parsed)
+      }
+      await updateReviewCheck(reviewContext, parsed, diffMetadata, budgetExhausted ? 'usage budget exhausted' : null)
       if (isLocalMode) {
         printLocalSummary(parsed, reportPath, fullReport)
-      } else {
+      }
+      if (budgetExhausted) {
+        const message = 'The usage budget was exhausted before any of the diff could be reviewed'
+        if (failOnError) {
+          console.error(`AI review failed: ${message}.`)
+          process.exit(1)
+        }
+        console.log(`::warning title=AI review skipped::${message}`)
+        if (process.env.GITHUB_OUTPUT) fs.appendFileSync(process.env.GITHUB_OUTPUT, `error=${message}\n`)
+      }
+      if (parsed.issues.some(isBlockingIssue)) {
+        console.error('AI review found blocking issues carried forward from earlier commits.')
+        process.exit(1)
+      }
+      if (!isLocalMode && !budgetExhausted) {
         console.log('AI review passed (no reviewable diff).')
       }
       process.exit(0)
@@ -719,41 +1845,77 @@ function printLocalSummary(parsed, reportPath, report = null) {
     if (reviewContext.reviewInstructions) {
       console.log('📚 Loaded repository-specific review instructions')
     }
-    console.log('🔄 Using responses API with structured review output...')
-    const ai = await createReviewResponse({
-      model: AI_MODEL,
-      input: getReviewPrompt(reviewContext.title, reviewContext.body, diff, reviewContext.reviewInstructions),
-      temperature: 0,
-      max_output_tokens: maxOutputTokens,
-      reasoning: { effort: reasoningEffort },
-      store: false,
-      text: {
-        format: {
-          type: 'json_schema',
-          name: 'ai_code_review',
-          strict: true,
-          schema: reviewResponseSchema,
-        },
-      },
+    if (includeContext) {
+      await addChunkContext(reviewContext, chunks, diffMetadata)
+    }
+    if (reviewMode === 'agentic') {
+      if (!isWorkspaceAtHead(reviewContext.workspaceDir, reviewContext.headSha)) {
+        console.warn('⚠️ The checkout is not the pull request head; review tools read the checked-out files as they are.')
+      }
+      console.log(`🧰 Agentic review: up to ${maxAgentSteps} tool step(s) and ${maxAgentToolBytes} bytes of tool output per chunk`)
+    }
+    console.log(`🔄 Using ${provider.name} provider with structured review output...`)
+    if (chunks.length > 1) {
+      console.log(`🧩 Reviewing the diff in ${chunks.length} chunks (concurrency ${reviewConcurrency})`)
+    }
+    // Each chunk is reviewed once per pass; without configured passes there is a single generic pass
+    const passes = reviewPasses.length ? reviewPasses : [null]
+    if (reviewPasses.length) {
+      console.log(`🎭 Running ${reviewPasses.length} review passes: ${reviewPasses.map(pass => pass.name).join(', ')}`)
+    }
+    const jobs = chunks.flatMap((chunk, index) => passes.map(pass => ({ chunk, index, pass })))
+    const jobResults = await mapWithConcurrency(jobs, reviewConcurrency, job =>
+      reviewDiffChunk(
+        reviewContext,
+        job.chunk,
+        chunks.length > 1 ? `part ${job.index + 1} of ${chunks.length}` : '',
+        job.pass,
+      ),
+    )
+    jobResults.forEach((result, i) => {
+      const chunkMetadata = diffMetadata.chunks[jobs[i].index]
+      chunkMetadata.issues = (chunkMetadata.issues || 0) + result.parsed.issues.length
+      if (result.transcript) {
+        chunkMetadata.toolCalls = (chunkMetadata.toolCalls || 0) + result.transcript.calls.length
+      }
     })
-    console.log('✅ Responses API call succeeded')
-
-    // Extract content from responses API format
-    const text = ai.output_text || ai.response?.content || ai.content
-    
-    if (!text || text.trim() === '') {
-      console.error('❌ AI returned empty response')
-      throw new Error('AI returned empty response')
+    const text = jobResults.length === 1 ? jobResults[0].text : jobResults.map(result => result.text)
+    const passReviews = passes.map(pass => {
+      const review = mergeChunkReviews(
+        jobResults.filter((_, i) => jobs[i].pass === pass).map(result => result.parsed),
+      )
+      return { pass, review: pass ? tagReviewWithPass(review, pass) : review }
+    })
+    if (reviewPasses.length) {
+      diffMetadata.passes = passReviews.map(({ pass, review }) => ({ name: pass.name, issues: review.issues.length }))
     }
-    
-    console.log('📝 AI Response length:', text.length)
-    
-    // Parse structured response, with a text-parser fallback for older model/action behavior.
-    const parsed = parseReviewResponse(text)
-    console.log('✅ Successfully parsed AI response')
+    // Carried-forward findings were verified when they were first reported
+    const reviewed = await verifyReview(
+      reviewContext,
+      reviewPasses.length ? mergePassReviews(passReviews) : passReviews[0].review,
+      diffMetadata,
+    )
+    // Injection findings come from a pattern scan, not the model, so the verifier doesn't see them
+    const injections = getPromptInjections(reviewContext)
+    if (injections.length) {
+      console.warn(`🚨 Found text aimed at the AI reviewer in ${injections.length} place(s)`)
+    }
+    const withInjections = mergeInjectionFindings(reviewed, injections)
+    const parsed = trackReviewChanges(
+      reviewContext,
+      suppressFindings(
+        reviewContext,
+        reviewContext.carriedIssues?.length
+          ? mergeIncrementalReview(withInjections, reviewContext.carriedIssues)
+          : withInjections,
+      ),
+      // Findings without a file, such as text in the description aimed at the reviewer, are rechecked every run
+      [...chunks.flatMap(chunk => chunk.files), 'unknown'],
+    )
     console.log(`📊 Found ${parsed.issues.length} issues with overall risk: ${parsed.overall_risk}`)
 
     // 3) Persist report for auditors (includes both raw text and parsed structure)
+    recordRedactions(diffMetadata)
     const workspaceDir = reviewContext.workspaceDir
     const reportFileName = `ai-review-report-${Date.now()}.json`
     const reportPath = `${workspaceDir}/${reportFileName}`
@@ -763,10 +1925,24 @@ function printLocalSummary(parsed, reportPath, report = null) {
       timestamp: new Date().toISOString(),
       model: AI_MODEL,
       mode: isLocalMode ? 'local' : 'github-action',
+      reviewed_head_sha: reviewContext.headSha || null,
       diff_metadata: diffMetadata,
+      usage: usageTracker.summary(),
+      ...(reviewMode === 'agentic'
+        ? {
+            agent_transcript: jobResults.map((result, i) => ({
+              chunk: jobs[i].index + 1,
+              ...(jobs[i].pass ? { pass: jobs[i].pass.name } : {}),
+              ...result.transcript,
+            })),
+          }
+        : {}),
     }
     fs.writeFileSync(reportPath, JSON.stringify(fullReport, null, 2))
     console.log(`AI review report written to: ${reportPath}`)
+    writeSarifReport(reviewContext, parsed, fullReport.timestamp)
+    writeWorkflowResults(parsed, fullReport, reportPath)
+    console.log(`💰 ${formatUsage(fullReport.usage)}`)
     console.log(`📄 To download as artifact, add this step to your workflow:`)
     console.log(`   - uses: actions/upload-artifact@v4`)
     console.log(`     with:`)
@@ -775,41 +1951,34 @@ function printLocalSummary(parsed, reportPath, report = null) {
 
     // 4) Post (or update) a single summary comment
     if (reviewContext.shouldPostComment) {
-      const marker = '<!-- ai-code-review-bot -->'
-      const bodyMd = `${marker}\n${asMarkdown(parsed, diffMetadata)}\n${marker}`
-      const allComments = await octo.paginate(octo.issues.listComments, {
-        owner,
-        repo,
-        issue_number: reviewContext.prNumber,
-        per_page: 100,
-      })
-      const botComment = allComments.find(c => c.body?.includes(marker))
-
-      if (botComment) {
-        await octo.issues.updateComment({
-          owner,
-          repo,
-          comment_id: botComment.id,
-          body: truncateComment(bodyMd),
-        })
-      } else {
-        await octo.issues.createComment({
+      await postReviewComment(reviewContext, parsed, diffMetadata, fullReport.usage)
+      await routePullRequest(reviewContext, parsed)
+    } else if (reviewContext.shouldPostCommitComment) {
+      try {
+        const url = await upsertCommitComment(octo, {
           owner,
           repo,
-          issue_number: reviewContext.prNumber,
-          body: truncateComment(bodyMd),
+          commitSha: reviewContext.headSha,
+          marker: REVIEW_MARKER,
+          body: truncateComment(`${REVIEW_MARKER}\n${asMarkdown(parsed, diffMetadata, fullReport.usage)}\n${REVIEW_MARKER}`),
         })
+        console.log(`💬 Review posted as a commit comment: ${url}`)
+      } catch (error) {
+        console.warn('Could not post the commit comment (does the token have contents: write?):', error.message)
       }
-    } else {
+    } else if (isLocalMode) {
+      // Action runs without a comment already have the job summary and the check run
       printLocalSummary(parsed, reportPath, fullReport)
     }
 
+    await updateReviewCheck(reviewContext, parsed, diffMetadata)
+
     // 5) Fail the check if any high-severity/security issues
-    const shouldFail = parsed.issues.some(i => failOn.has(i.severity))
+    const shouldFail = parsed.issues.some(isBlockingIssue)
     if (shouldFail) {
       console.error(
         'AI review found blocking issues:',
-        parsed.issues.filter(i => failOn.has(i.severity)).map(i => i.title),
+        parsed.issues.filter(isBlockingIssue).map(i => i.title),
       )
       process.exit(1)
     } else {
@@ -817,6 +1986,10 @@ function printLocalSummary(parsed, reportPath, report = null) {
     }
   } catch (err) {
     console.error('AI review failed:', err)
+    if (!failOnError) {
+      await reportReviewError(reviewContext, err)
+      process.exit(0)
+    }
     process.exit(1)
   }
 })()
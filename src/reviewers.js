@@ -0,0 +1,70 @@
+import { matchesPathPatterns } from './globs.js'
+import { normalizePath } from './severity.js'
+
+// GitHub uses the first of these that exists
+const CODEOWNERS_PATHS = ['.github/CODEOWNERS', 'CODEOWNERS', 'docs/CODEOWNERS']
+
+export function parseCodeowners(text) {
+  return text
+    .split('\n')
+    .map(line => line.replace(/(^|\s)#.*$/, '').trim())
+    .filter(Boolean)
+    .map(line => {
+      const [pattern, ...owners] = line.split(/\s+/)
+      return { pattern, owners }
+    })
+}
+
+// As in CODEOWNERS, the last matching rule decides, and a rule without owners clears ownership
+export function findCodeowners(rules, file) {
+  const rule = rules.findLast(candidate => matchesPathPatterns(file, [candidate.pattern]))
+  return rule ? rule.owners : []
+}
+
+// Read CODEOWNERS from the base commit so a pull request can't choose its own reviewers
+export async function loadCodeowners(octo, { owner, repo, ref }) {
+  for (const path of CODEOWNERS_PATHS) {
+    try {
+      const { data } = await octo.repos.getContent({ owner, repo, path, ref })
+      if (Array.isArray(data) || data.encoding !== 'base64') continue
+      return parseCodeowners(Buffer.from(data.content, 'base64').toString('utf8'))
+    } catch (error) {
+      if (error.status !== 404) throw error
+    }
+  }
+  return []
+}
+
+// `@org/team` (or `org/team`) handles are team requests by slug; `@user` handles are user requests.
+// Email owners can't be requested, and the author can't review their own pull request.
+export function splitReviewers(handles, author) {
+  const reviewers = new Set()
+  const teamReviewers = new Set()
+  for (const handle of handles) {
+    const name = handle.replace(/^@/, '')
+    if (name.includes('@')) continue
+    if (name.includes('/')) {
+      teamReviewers.add(name.split('/').pop())
+    } else if (name.toLowerCase() !== String(author || '').toLowerCase()) {
+      reviewers.add(name)
+    }
+  }
+  return { reviewers: [...reviewers], teamReviewers: [...teamReviewers] }
+}
+
+// Request reviews from the configured handles, plus the code owners of the files with triggering
+// findings when `codeowners` rules are given. Returns the users and teams that were requested.
+export async function requestFindingReviewers(octo, { owner, repo, prNumber, author, handles, codeowners, issues }) {
+  const owners = codeowners ? issues.flatMap(issue => findCodeowners(codeowners, normalizePath(issue.file))) : []
+  const { reviewers, teamReviewers } = splitReviewers([...handles, ...owners], author)
+  if (!reviewers.length && !teamReviewers.length) return { reviewers, teamReviewers }
+
+  await octo.pulls.requestReviewers({
+    owner,
+    repo,
+    pull_number: prNumber,
+    reviewers,
+    team_reviewers: teamReviewers,
+  })
+  return { reviewers, teamReviewers }
+}
@@ -0,0 +1,120 @@
+import { normalizePath } from './severity.js'
+
+const SARIF_SCHEMA = 'https://json.schemastore.org/sarif-2.1.0.json'
+const INFORMATION_URI = 'https://github.com/clearideas/ai-code-review-github-action'
+
+const SARIF_LEVELS = {
+  info: 'note',
+  low: 'note',
+  medium: 'warning',
+  high: 'error',
+  critical: 'error',
+  security: 'error',
+}
+
+// Numeric scores GitHub code scanning uses to rank security alerts
+const SECURITY_SEVERITY = {
+  info: '1.0',
+  low: '3.0',
+  medium: '5.0',
+  high: '7.0',
+  critical: '9.0',
+  security: '9.0',
+}
+
+function ruleIdFor(issue) {
+  const slug = issue.title
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, '-')
+    .replace(/^-+|-+$/g, '')
+    .slice(0, 60)
+  return `ai-review/${slug || 'finding'}`
+}
+
+function isSecurityFinding(issue) {
+  return issue.severity === 'security' || (issue.tags || []).some(tag => /security|vuln|cwe/i.test(tag))
+}
+
+function buildResult(issue, ruleIndex, ruleId) {
+  const message = [issue.title, issue.detail, issue.suggestion ? `Suggestion: ${issue.suggestion}` : '']
+    .filter(Boolean)
+    .join('\n\n')
+  const hasLocation = issue.file && issue.file !== 'unknown'
+
+  return {
+    ruleId,
+    ruleIndex,
+    level: SARIF_LEVELS[issue.severity] || 'note',
+    message: { text: message },
+    ...(hasLocation
+      ? {
+          locations: [
+            {
+              physicalLocation: {
+                artifactLocation: { uri: normalizePath(issue.file), uriBaseId: '%SRCROOT%' },
+                ...(Number.isInteger(issue.line) && issue.line > 0 ? { region: { startLine: issue.line } } : {}),
+              },
+            },
+          ],
+        }
+      : {}),
+    ...(issue.fingerprint ? { partialFingerprints: { 'aiReviewFingerprint/v1': issue.fingerprint } } : {}),
+    ...(issue.status ? { baselineState: issue.status === 'new' ? 'new' : 'unchanged' } : {}),
+    ...(issue.suppression
+      ? {
+          suppressions: [
+            {
+              kind: issue.suppression.source === 'inline' ? 'inSource' : 'external',
+              ...(issue.suppression.reason ? { justification: issue.suppression.reason } : {}),
+            },
+          ],
+        }
+      : {}),
+    properties: { severity: issue.severity, ...(issue.tags?.length ? { tags: issue.tags } : {}) },
+  }
+}
+
+// Build a SARIF 2.1.0 log with one rule per distinct finding title; suppressed findings are kept
+// with SARIF suppressions so downstream tools can show them as dismissed.
+export function buildSarifReport(review, { model, timestamp } = {}) {
+  const rules = []
+  const ruleIndexes = new Map()
+  const results = []
+
+  for (const issue of [...review.issues, ...(review.suppressed || [])]) {
+    const ruleId = ruleIdFor(issue)
+    if (!ruleIndexes.has(ruleId)) {
+      ruleIndexes.set(ruleId, rules.length)
+      rules.push({
+        id: ruleId,
+        name: issue.title,
+        shortDescription: { text: issue.title },
+        defaultConfiguration: { level: SARIF_LEVELS[issue.severity] || 'note' },
+        properties: {
+          tags: [...new Set([...(issue.tags || []), ...(isSecurityFinding(issue) ? ['security'] : [])])],
+          ...(isSecurityFinding(issue) ? { 'security-severity': SECURITY_SEVERITY[issue.severity] } : {}),
+        },
+      })
+    }
+    results.push(buildResult(issue, ruleIndexes.get(ruleId), ruleId))
+  }
+
+  return {
+    $schema: SARIF_SCHEMA,
+    version: '2.1.0',
+    runs: [
+      {
+        tool: {
+          driver: {
+            name: 'AI Code Review',
+            informationUri: INFORMATION_URI,
+            rules,
+          },
+        },
+        results,
+        ...(timestamp ? { invocations: [{ executionSuccessful: true, endTimeUtc: timestamp }] } : {}),
+        properties: { ...(model ? { model } : {}), overallRisk: review.overall_risk },
+      },
+    ],
+  }
+}
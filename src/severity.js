@@ -0,0 +1,24 @@
+// Severity and risk levels, lowest first, and the helpers every module uses to compare and match findings
+export const SEVERITY_ORDER = ['info', 'low', 'medium', 'high', 'critical', 'security']
+export const RISK_ORDER = ['low', 'medium', 'high', 'critical']
+
+// Models sometimes report paths the way a diff header writes them (`a/src/x.js`) or relative (`./src/x.js`)
+export function normalizePath(file) {
+  return file.replace(/^(\.\/|[ab]\/)/, '')
+}
+
+// Two findings with the same file and title (ignoring case) are the same finding
+export function issueIdentity(issue) {
+  return `${issue.file}\n${issue.title.toLowerCase()}`
+}
+
+export function highestRisk(risks) {
+  return risks.reduce((max, risk) => (RISK_ORDER.indexOf(risk) > RISK_ORDER.indexOf(max) ? risk : max), 'low')
+}
+
+export function riskFromIssues(issues) {
+  if (issues.some(i => i.severity === 'critical' || i.severity === 'security')) return 'critical'
+  if (issues.some(i => i.severity === 'high')) return 'high'
+  if (issues.some(i => i.severity === 'medium')) return 'medium'
+  return 'low'
+}
@@ -0,0 +1,38 @@
+import fs from 'node:fs'
+import path from 'node:path'
+import { parsePatchLines } from './patch.js'
+
+const MAX_SOURCE_FILE_BYTES = 1024 * 1024
+
+// Read a workspace file as lines, refusing paths that escape the workspace, sensitive files and huge files
+export function readWorkspaceLines(workspaceDir, filename, { isSensitiveFile = () => false } = {}) {
+  if (!workspaceDir || isSensitiveFile(filename)) return null
+  const root = path.resolve(workspaceDir)
+  const fullPath = path.resolve(root, filename)
+  if (!fullPath.startsWith(`${root}${path.sep}`)) return null
+
+  try {
+    const stat = fs.statSync(fullPath)
+    if (!stat.isFile() || stat.size > MAX_SOURCE_FILE_BYTES) return null
+    return fs.readFileSync(fullPath, 'utf8').split('\n')
+  } catch {
+    return null
+  }
+}
+
+// Look up head-side source lines, preferring the PR patch (always the PR head) over the workspace checkout
+export function createSourceReader({ workspaceDir, files = [], isSensitiveFile }) {
+  const patchLines = new Map(files.filter(file => file.patch).map(file => [file.filename, parsePatchLines(file.patch)]))
+  const fileCache = new Map()
+
+  return function getLine(filename, line) {
+    if (!Number.isInteger(line) || line < 1) return undefined
+    const fromPatch = patchLines.get(filename)?.get(line)
+    if (fromPatch !== undefined) return fromPatch
+
+    if (!fileCache.has(filename)) {
+      fileCache.set(filename, readWorkspaceLines(workspaceDir, filename, { isSensitiveFile }))
+    }
+    return fileCache.get(filename)?.[line - 1]
+  }
+}
@@ -0,0 +1,79 @@
+import fs from 'node:fs'
+import path from 'node:path'
+import yaml from 'js-yaml'
+import { fingerprintIssue } from './fingerprint.js'
+import { riskFromIssues } from './severity.js'
+
+export const DEFAULT_BASELINE_PATHS = ['.github/ai-review-baseline.json', '.github/ai-review-baseline.yml']
+export const INLINE_IGNORE_PATTERN = /ai-review-ignore(?::\s*([^\n*]*?))?\s*(?:\*\/|-->)?\s*$/
+
+// Baseline file: { suppressions: [{ fingerprint, file?, title?, reason? }] }
+export function loadBaseline(workspaceDir, baselinePath = '') {
+  const candidates = baselinePath ? [baselinePath] : DEFAULT_BASELINE_PATHS
+  for (const candidate of candidates) {
+    const fullPath = path.resolve(workspaceDir, candidate)
+    if (!fs.existsSync(fullPath)) continue
+
+    let raw
+    try {
+      raw = yaml.load(fs.readFileSync(fullPath, 'utf8'))
+    } catch (error) {
+      throw new Error(`Could not parse baseline file ${candidate}: ${error.message}`)
+    }
+    const entries = Array.isArray(raw?.suppressions) ? raw.suppressions : null
+    if (!entries) {
+      throw new Error(`Invalid baseline file ${candidate}: expected a "suppressions" list`)
+    }
+    const invalid = entries
+      .map((entry, i) => (typeof entry?.fingerprint === 'string' && entry.fingerprint.trim() ? null : i))
+      .filter(i => i !== null)
+    if (invalid.length) {
+      throw new Error(`Invalid baseline file ${candidate}: suppressions[${invalid.join(', ')}] must have a fingerprint`)
+    }
+    return {
+      path: candidate,
+      entries: new Map(entries.map(entry => [entry.fingerprint.trim(), entry])),
+    }
+  }
+
+  if (baselinePath) throw new Error(`Baseline file not found: ${baselinePath}`)
+  return { path: null, entries: new Map() }
+}
+
+// An `ai-review-ignore` comment on the finding's line or the line above suppresses it
+export function findInlineIgnore(issue, getLine) {
+  if (!Number.isInteger(issue.line)) return null
+  for (const line of [issue.line, issue.line - 1]) {
+    const match = getLine(issue.file, line)?.match(INLINE_IGNORE_PATTERN)
+    if (match) return { source: 'inline', reason: match[1]?.trim() || null }
+  }
+  return null
+}
+
+// Fingerprint every finding and split out the suppressed ones. Suppressed findings stay in the
+// report but no longer count toward the overall risk or the failure decision.
+export function applySuppressions(review, { baseline, getLine }) {
+  const issues = []
+  const suppressed = []
+
+  for (const issue of review.issues) {
+    const fingerprint = fingerprintIssue(issue, getLine)
+    const entry = baseline.entries.get(fingerprint)
+    const suppression = entry
+      ? { source: entry.source || 'baseline', reason: typeof entry.reason === 'string' ? entry.reason : null }
+      : findInlineIgnore(issue, getLine)
+
+    if (suppression) {
+      suppressed.push({ ...issue, fingerprint, suppression })
+    } else {
+      issues.push({ ...issue, fingerprint })
+    }
+  }
+
+  return {
+    ...review,
+    overall_risk: suppressed.length ? riskFromIssues(issues) : review.overall_risk,
+    issues,
+    suppressed,
+  }
+}
@@ -0,0 +1,139 @@
+// Token, latency and cost accounting for model calls, with an optional hard budget.
+// Prices are USD per million tokens: { [model]: { input, output } }.
+
+// Code tokenizes denser than prose, so estimates assume 3 characters per token to stay on the safe side
+const CHARS_PER_TOKEN = 3
+
+export function estimateTokens(chars) {
+  return Math.ceil(chars / CHARS_PER_TOKEN)
+}
+
+// Parse the model_prices input (a JSON object) or config mapping
+export function parseModelPrices(value) {
+  const prices = typeof value === 'string' ? JSON.parse(value.trim() || '{}') : value
+  if (!prices || typeof prices !== 'object' || Array.isArray(prices)) {
+    throw new Error('model_prices must be a JSON object mapping model names to { "input": n, "output": n }')
+  }
+  for (const [model, price] of Object.entries(prices)) {
+    const valid = ['input', 'output'].every(key => typeof price?.[key] === 'number' && price[key] >= 0)
+    if (!valid) throw new Error(`model_prices["${model}"] needs non-negative "input" and "output" prices per million tokens`)
+  }
+  return prices
+}
+
+// Upper bound for one generate() call: in a tool loop every turn resends the prompt and the tool output so far
+export function estimateRequest({ model, instructions = '', input = '', maxOutputTokens, maxToolSteps = 0, extraInputChars = 0 }) {
+  const turns = maxToolSteps + 1
+  return {
+    model,
+    inputTokens: turns * estimateTokens(instructions.length + input.length + extraInputChars),
+    outputTokens: turns * maxOutputTokens,
+  }
+}
+
+function roundCost(cost) {
+  return cost === null ? null : Number(cost.toFixed(6))
+}
+
+// Wraps provider.generate() so every call is timed and counted. With a budget, a call whose worst case
+// (on top of what was spent and what is still in flight) could exceed it is refused before it is sent.
+export function createUsageTracker({ provider, prices = {}, maxCostUsd = null, maxInputTokens = null }) {
+  const startedAt = Date.now()
+  const calls = []
+  const spent = { inputTokens: 0, costUsd: 0 }
+  const reserved = { inputTokens: 0, costUsd: 0 }
+  let skippedRequests = 0
+
+  function costOf(model, inputTokens, outputTokens) {
+    const price = prices[model]
+    return price ? (inputTokens * price.input + outputTokens * price.output) / 1e6 : null
+  }
+
+  // The first limit the estimated requests could break, or null when they fit
+  function exceededLimit(estimates) {
+    const inputTokens = estimates.reduce((sum, estimate) => sum + estimate.inputTokens, 0)
+    const costUsd = estimates.reduce(
+      (sum, estimate) => sum + (costOf(estimate.model, estimate.inputTokens, estimate.outputTokens) || 0),
+      0,
+    )
+    if (maxInputTokens && spent.inputTokens + reserved.inputTokens + inputTokens > maxInputTokens) {
+      return `max_input_tokens (${maxInputTokens})`
+    }
+    if (maxCostUsd && spent.costUsd + reserved.costUsd + costUsd > maxCostUsd) {
+      return `max_cost_usd (${maxCostUsd})`
+    }
+    return null
+  }
+
+  async function generate(purpose, params, { extraInputChars = 0 } = {}) {
+    const estimate = estimateRequest({ ...params, extraInputChars })
+    const limit = exceededLimit([estimate])
+    if (limit) {
+      skippedRequests += 1
+      const error = new Error(`Skipped the ${purpose} request because it could exceed ${limit}`)
+      error.budgetExceeded = true
+      throw error
+    }
+
+    const reservation = {
+      inputTokens: estimate.inputTokens,
+      costUsd: costOf(estimate.model, estimate.inputTokens, estimate.outputTokens) || 0,
+    }
+    reserved.inputTokens += reservation.inputTokens
+    reserved.costUsd += reservation.costUsd
+    const callStarted = Date.now()
+    const call = { purpose, model: params.model }
+    calls.push(call)
+    try {
+      const result = await provider.generate(params)
+      const usage = result.usage
+      const cost = costOf(params.model, usage.inputTokens, usage.outputTokens)
+      spent.inputTokens += usage.inputTokens
+      spent.costUsd += cost || 0
+      Object.assign(call, {
+        input_tokens: usage.inputTokens,
+        output_tokens: usage.outputTokens,
+        reasoning_tokens: usage.reasoningTokens,
+        requests: usage.requests,
+        retries: usage.retries,
+        estimated_cost_usd: roundCost(cost),
+      })
+      return result
+    } catch (error) {
+      call.error = error.message
+      throw error
+    } finally {
+      call.latency_ms = Date.now() - callStarted
+      reserved.inputTokens -= reservation.inputTokens
+      reserved.costUsd -= reservation.costUsd
+    }
+  }
+
+  function summary() {
+    const total = key => calls.reduce((sum, call) => sum + (call[key] || 0), 0)
+    const unpriced = calls.some(call => call.input_tokens !== undefined && call.estimated_cost_usd === null)
+    return {
+      requests: total('requests'),
+      retries: total('retries'),
+      input_tokens: total('input_tokens'),
+      output_tokens: total('output_tokens'),
+      reasoning_tokens: total('reasoning_tokens'),
+      latency_ms: total('latency_ms'),
+      wall_clock_ms: Date.now() - startedAt,
+      estimated_cost_usd: unpriced ? null : roundCost(total('estimated_cost_usd')),
+      budget: { max_cost_usd: maxCostUsd, max_input_tokens: maxInputTokens, skipped_requests: skippedRequests },
+      calls,
+    }
+  }
+
+  return {
+    hasBudget: Boolean(maxCostUsd || maxInputTokens),
+    fits: estimates => !exceededLimit(estimates),
+    // Requests left out while planning still count as skipped
+    skip: count => {
+      skippedRequests += count
+    },
+    generate,
+    summary,
+  }
+}
@@ -0,0 +1,114 @@
+import { normalizePath, riskFromIssues } from './severity.js'
+import { parsePatchHunks } from './patch.js'
+import { UNTRUSTED_DATA_NOTICE, untrustedBlock } from './prompt-injection.js'
+
+const MAX_VERIFIER_DIFF_CHARS = 12000
+
+export const verificationSchema = {
+  type: 'object',
+  additionalProperties: false,
+  required: ['verdict', 'confidence', 'reason'],
+  properties: {
+    verdict: { type: 'string', enum: ['keep', 'drop'] },
+    confidence: {
+      type: 'number',
+      description: 'Probability from 0 to 1 that the finding is a real issue introduced by the diff.',
+    },
+    reason: { type: 'string' },
+  },
+}
+
+// Prefix hunk lines with their new-file line numbers so the verifier can check the cited line
+function numberHunk(hunk) {
+  let newLine = hunk.start
+  return hunk.lines
+    .map((line, i) => {
+      if (i === 0 || line.startsWith('-')) return `      ${line}`
+      const numbered = `${String(newLine).padStart(5)} ${line}`
+      newLine += 1
+      return numbered
+    })
+    .join('\n')
+}
+
+// The hunk containing the finding's line, or the whole file patch when the line is unknown
+export function findIssueDiff(issue, files) {
+  const path = normalizePath(issue.file)
+  const file = files.find(candidate => candidate.filename === path && candidate.patch)
+  if (!file) return ''
+
+  const hunks = parsePatchHunks(file.patch)
+  const hunk = Number.isInteger(issue.line)
+    ? hunks.find(candidate => issue.line >= candidate.start && issue.line <= candidate.end)
+    : null
+  const diff = hunk ? numberHunk(hunk) : hunks.map(numberHunk).join('\n')
+  return diff.length > MAX_VERIFIER_DIFF_CHARS ? `${diff.slice(0, MAX_VERIFIER_DIFF_CHARS)}\n[...diff truncated...]` : diff
+}
+
+export function getVerifierPrompt(prTitle, issue, diff) {
+  const instructions = `You are verifying one candidate finding from an automated pull request review. Reviewers lose trust when false positives are posted, so check the finding skeptically against the diff.
+
+Keep the finding only if the diff shows the problem: the cited code exists, the described behaviour follows from it, and the problem is introduced or exposed by this change. Drop it when it misreads the code, depends on assumptions the diff does not support, duplicates what a linter or type checker would catch, or is a style preference. When the hunk alone cannot settle it, lower the confidence instead of guessing.
+
+Return a verdict, a confidence from 0 to 1 that the finding is real, and a one-sentence reason. Return only JSON matching the schema.
+
+${UNTRUSTED_DATA_NOTICE}`
+
+  // The finding was written from the same untrusted diff, so it is data as well
+  const finding = [
+    `[${issue.severity}] ${issue.title}`,
+    `Location: ${issue.file}${issue.line ? `:${issue.line}` : ''}`,
+    `Detail: ${issue.detail}`,
+    ...(issue.suggestion ? [`Suggestion: ${issue.suggestion}`] : []),
+  ].join('\n')
+
+  return {
+    instructions,
+    input: `Pull Request Title:
+${untrustedBlock('pull request title', prTitle)}
+
+Candidate Finding:
+${untrustedBlock('candidate finding', finding)}
+
+Relevant Diff (new-file line numbers on the left):
+${diff ? untrustedBlock('diff', diff) : '(the file is not part of the reviewed diff)'}
+`,
+  }
+}
+
+// Split findings by the verifier's verdict. A finding is dropped on a `drop` verdict or when its
+// confidence is below minConfidence; findings the verifier could not check are kept unverified.
+export function applyVerifications(review, verifications, { minConfidence, model }) {
+  const issues = []
+  const dropped = []
+
+  review.issues.forEach((issue, i) => {
+    const result = verifications[i]
+    if (result.error) {
+      issues.push({ ...issue, verification: { verified: false, model, error: result.error } })
+      return
+    }
+    const confidence = Math.min(Math.max(Number(result.confidence) || 0, 0), 1)
+    const keep = result.verdict === 'keep' && confidence >= minConfidence
+    const verification = {
+      verified: true,
+      model,
+      verdict: result.verdict,
+      confidence,
+      reason: result.reason,
+      ...(result.verdict === 'keep' && !keep ? { below_min_confidence: true } : {}),
+    }
+    if (keep) {
+      issues.push({ ...issue, verification })
+    } else {
+      dropped.push({ ...issue, verification })
+    }
+  })
+
+  return {
+    ...review,
+    overall_risk: dropped.length ? riskFromIssues(issues) : review.overall_risk,
+    issues,
+    dropped,
+  }
+}
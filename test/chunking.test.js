@@ -0,0 +1,135 @@
+import assert from 'node:assert/strict'
+import { describe, test } from 'node:test'
+import { buildDiffChunks, formatDiffNotice, splitUnifiedDiff } from '../src/chunking.js'
+
+function file(filename, lines, start = 1) {
+  const body = Array.from({ length: lines }, (_, i) => `+line ${i + 1} of ${filename}`)
+  return { filename, patch: [`@@ -${start},0 +${start},${lines} @@`, ...body].join('\n') }
+}
+
+// The size a file takes in a chunk: its header, its patch and a trailing newline
+function sectionLength({ filename, patch }) {
+  return `\n--- a/${filename}\n+++ b/${filename}\n${patch}\n`.length
+}
+
+describe('buildDiffChunks', () => {
+  test('keeps files that exactly fill the budget in one chunk', () => {
+    const files = [file('a.js', 3), file('b.js', 3)]
+    const maxChunkChars = sectionLength(files[0]) + sectionLength(files[1])
+    const { chunks, metadata } = buildDiffChunks(files, { maxChunkChars, maxChunks: 4 })
+
+    assert.equal(chunks.length, 1)
+    assert.deepEqual(chunks[0].files, ['a.js', 'b.js'])
+    assert.equal(chunks[0].diff.length, maxChunkChars)
+    assert.equal(metadata.originalDiffChars, maxChunkChars)
+    assert.deepEqual(metadata.skippedFiles, [])
+  })
+
+  test('starts a new chunk when the next file is one character over the budget', () => {
+    const files = [file('a.js', 3), file('b.js', 3)]
+    const maxChunkChars = sectionLength(files[0]) + sectionLength(files[1]) - 1
+    const { chunks } = buildDiffChunks(files, { maxChunkChars, maxChunks: 4 })
+
+    assert.deepEqual(
+      chunks.map(chunk => chunk.files),
+      [['a.js'], ['b.js']],
+    )
+  })
+
+  test('splits a file larger than one chunk on hunk and line boundaries', () => {
+    const big = file('big.js', 40)
+    const maxChunkChars = 300
+    const { chunks, metadata } = buildDiffChunks([big], { maxChunkChars, maxChunks: 10 })
+
+    assert.ok(chunks.length > 1)
+    for (const chunk of chunks) {
+      assert.ok(chunk.diff.length <= maxChunkChars, `chunk is ${chunk.diff.length} characters`)
+      assert.deepEqual(chunk.files, ['big.js'])
+      assert.ok(chunk.diff.startsWith('\n--- a/big.js\n+++ b/big.js\n'))
+    }
+    assert.match(chunks[1].diff, /^@@ -\d+ \+\d+ @@ \(continued\)$/m)
+    // Every added line is reviewed exactly once
+    const added = chunks.flatMap(chunk => chunk.diff.split('\n').filter(line => line.startsWith('+line')))
+    assert.equal(added.length, 40)
+    assert.deepEqual(metadata.oversizedFiles, ['big.js'])
+    assert.deepEqual(metadata.skippedFiles, [])
+  })
+
+  test('continues the new-file line numbers across split pieces', () => {
+    const { chunks } = buildDiffChunks([file('big.js', 40, 10)], { maxChunkChars: 300, maxChunks: 10 })
+    const header = chunks[1].diff.match(/^@@ -\d+ \+(\d+) @@ \(continued\)$/m)
+    const firstLine = chunks[1].diff.split('\n').find(line => line.startsWith('+line'))
+    const lineNumber = Number(firstLine.match(/^\+line (\d+)/)[1])
+    assert.equal(Number(header[1]), 10 + lineNumber - 1)
+  })
+
+  test('leaves out files beyond max_review_chunks and reports them', () => {
+    const files = [file('a.js', 3), file('b.js', 3), file('c.js', 3)]
+    const maxChunkChars = sectionLength(files[0])
+    const { chunks, metadata } = buildDiffChunks(files, { maxChunkChars, maxChunks: 2 })
+
+    assert.deepEqual(
+      chunks.map(chunk => chunk.files),
+      [['a.js'], ['b.js']],
+    )
+    assert.deepEqual(metadata.skippedFiles, ['c.js'])
+    assert.equal(metadata.diffCappedByBuilder, true)
+  })
+
+  test('reports an oversized file whose pieces run past the chunk cap', () => {
+    const { chunks, metadata } = buildDiffChunks([file('big.js', 40)], { maxChunkChars: 300, maxChunks: 2 })
+    assert.equal(chunks.length, 2)
+    assert.deepEqual(metadata.oversizedFiles, ['big.js'])
+    assert.deepEqual(metadata.skippedFiles, ['big.js'])
+  })
+
+  test('ignores files without a patch', () => {
+    const { chunks } = buildDiffChunks([{ filename: 'image.png' }, file('a.js', 1)], { maxChunkChars: 1000, maxChunks: 4 })
+    assert.deepEqual(chunks[0].files, ['a.js'])
+  })
+})
+
+describe('formatDiffNotice', () => {
+  test('notes files that did not fit and files split across chunks', () => {
+    const files = [file('a.js', 3), file('big.js', 40)]
+    const { chunks, metadata } = buildDiffChunks(files, { maxChunkChars: 300, maxChunks: 2 })
+    const notices = formatDiffNotice({ ...metadata, maxReviewChunks: 2, totalChunks: chunks.length })
+
+    assert.ok(notices.includes('1 file diff(s) did not fit in 2 review chunk(s) of 300 characters and were not reviewed.'))
+    assert.ok(notices.includes('1 oversized file diff(s) were split across review chunks.'))
+    assert.ok(notices.some(notice => notice.includes('was reviewed in 2 separate chunks')))
+  })
+
+  test('has nothing to say about a diff reviewed whole', () => {
+    const { chunks, metadata } = buildDiffChunks([file('a.js', 3)], { maxChunkChars: 1000, maxChunks: 4 })
+    assert.deepEqual(formatDiffNotice({ ...metadata, maxReviewChunks: 4, totalChunks: chunks.length }), [])
+    assert.deepEqual(formatDiffNotice(null), [])
+  })
+})
+
+describe('splitUnifiedDiff', () => {
+  test('splits git diff output into GitHub-style file patches', () => {
+    const raw = [
+      'diff --git a/a.js b/a.js',
+      'index 1..2 100644',
+      '--- a/a.js',
+      '+++ b/a.js',
+      '@@ -1 +1 @@',
+      '-old',
+      '+new',
+      'diff --git a/old.js b/new.js',
+      'similarity index 90%',
+      'rename from old.js',
+      'rename to new.js',
+      '--- a/old.js',
+      '+++ b/new.js',
+      '@@ -2 +2 @@',
+      '-x',
+      '+y',
+    ].join('\n')
+    assert.deepEqual(splitUnifiedDiff(raw), [
+      { filename: 'a.js', patch: '@@ -1 +1 @@\n-old\n+new' },
+      { filename: 'new.js', patch: '@@ -2 +2 @@\n-x\n+y' },
+    ])
+  })
+})
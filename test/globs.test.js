@@ -0,0 +1,85 @@
+import assert from 'node:assert/strict'
+import { describe, test } from 'node:test'
+import { matchesPathPatterns, parsePathPatterns } from '../src/globs.js'
+
+const matches = (filename, ...patterns) => matchesPathPatterns(filename, patterns)
+
+describe('matchesPathPatterns', () => {
+  test('keeps `*` and `?` within one path segment', () => {
+    assert.equal(matches('src/a.js', 'src/*.js'), true)
+    assert.equal(matches('src/lib/a.js', 'src/*.js'), false)
+    assert.equal(matches('src/a1.js', 'src/a?.js'), true)
+    assert.equal(matches('src/a/.js', 'src/a?.js'), false)
+    assert.equal(matches('src/b.js', 'src/[ab].js'), true)
+    assert.equal(matches('src/c.js', 'src/[!ab].js'), true)
+    assert.equal(matches('src/a.js', 'src/[!ab].js'), false)
+  })
+
+  test('lets `**` cross directories', () => {
+    assert.equal(matches('src/a.test.js', 'src/**/*.test.js'), true)
+    assert.equal(matches('src/deep/er/a.test.js', 'src/**/*.test.js'), true)
+    assert.equal(matches('lib/a.test.js', 'src/**/*.test.js'), false)
+    assert.equal(matches('a/b/c.snap', '**/*.snap'), true)
+    assert.equal(matches('docs/x/y.md', 'docs/**'), true)
+  })
+
+  test('matches a pattern without a slash at any depth', () => {
+    assert.equal(matches('package-lock.json', 'package-lock.json'), true)
+    assert.equal(matches('apps/web/package-lock.json', 'package-lock.json'), true)
+    assert.equal(matches('src/a.min.js', '*.min.js'), true)
+    assert.equal(matches('node_modules/x/index.js', 'node_modules'), true)
+    assert.equal(matches('web/node_modules/x/index.js', 'node_modules'), true)
+  })
+
+  test('anchors a pattern with a slash to the repository root', () => {
+    assert.equal(matches('vendor/lib.js', '/vendor'), true)
+    assert.equal(matches('src/vendor/lib.js', '/vendor'), false)
+    assert.equal(matches('src/gen/a.js', 'src/gen'), true)
+    assert.equal(matches('app/src/gen/a.js', 'src/gen'), false)
+  })
+
+  test('matches only directories when the pattern ends with `/`', () => {
+    assert.equal(matches('build/out.js', 'build/'), true)
+    assert.equal(matches('pkg/build/out.js', 'build/'), true)
+    assert.equal(matches('build', 'build/'), false)
+    assert.equal(matches('build', 'build'), true)
+  })
+
+  test('re-includes paths with `!`, with later patterns winning', () => {
+    const patterns = ['dist/**', '!dist/keep.js']
+    assert.equal(matchesPathPatterns('dist/out.js', patterns), true)
+    assert.equal(matchesPathPatterns('dist/keep.js', patterns), false)
+    assert.equal(matchesPathPatterns('dist/keep.js', [...patterns, 'dist/*.js']), true)
+    assert.equal(matchesPathPatterns('src/a.js', ['!src/a.js']), false)
+  })
+
+  test('escapes regular expression characters', () => {
+    assert.equal(matches('a+b.js', 'a+b.js'), true)
+    assert.equal(matches('aab.js', 'a+b.js'), false)
+    assert.equal(matches('axjs', '*.js'), false)
+  })
+
+  test('matches nothing without patterns', () => {
+    assert.equal(matchesPathPatterns('src/a.js', []), false)
+  })
+})
+
+describe('parsePathPatterns', () => {
+  test('splits on commas and newlines and drops blanks and comments', () => {
+    assert.deepEqual(parsePathPatterns('dist/**, *.min.js\n\n# generated\n  docs/  \n!docs/keep.md'), [
+      'dist/**',
+      '*.min.js',
+      'docs/',
+      '!docs/keep.md',
+    ])
+  })
+
+  test('accepts a config list', () => {
+    assert.deepEqual(parsePathPatterns([' dist/** ', '', 'docs/']), ['dist/**', 'docs/'])
+  })
+
+  test('returns nothing for an empty input', () => {
+    assert.deepEqual(parsePathPatterns(''), [])
+    assert.deepEqual(parsePathPatterns(undefined), [])
+  })
+})
@@ -0,0 +1,139 @@
+import assert from 'node:assert/strict'
+import { describe, test } from 'node:test'
+import { carryForwardFindings, getIncrementalChanges, mapLineThroughPatch } from '../src/incremental.js'
+
+// Old lines 10-14 become new lines 10-15: line 11 is replaced by two lines and line 13 is deleted
+const patch = [
+  '@@ -10,5 +10,5 @@ function f() {',
+  ' ten',
+  '-eleven',
+  '+eleven a',
+  '+eleven b',
+  ' twelve',
+  '-thirteen',
+  ' fourteen',
+].join('\n')
+
+function issue(file, line, title = 'Bug') {
+  return { file, line, severity: 'high', title, detail: 'd', suggestion: '', tags: [], fix: null }
+}
+
+describe('mapLineThroughPatch', () => {
+  test('keeps lines above the first hunk', () => {
+    assert.equal(mapLineThroughPatch(patch, 1), 1)
+    assert.equal(mapLineThroughPatch(patch, 9), 9)
+  })
+
+  test('follows unchanged lines inside a hunk', () => {
+    assert.equal(mapLineThroughPatch(patch, 10), 10)
+    assert.equal(mapLineThroughPatch(patch, 12), 13)
+    assert.equal(mapLineThroughPatch(patch, 14), 14)
+  })
+
+  test('returns null for changed and deleted lines', () => {
+    assert.equal(mapLineThroughPatch(patch, 11), null)
+    assert.equal(mapLineThroughPatch(patch, 13), null)
+  })
+
+  test('shifts lines below a hunk by its net change', () => {
+    const grows = '@@ -2,1 +2,3 @@\n-old\n+new 1\n+new 2\n+new 3'
+    assert.equal(mapLineThroughPatch(grows, 3), 5)
+    assert.equal(mapLineThroughPatch(grows, 100), 102)
+    assert.equal(mapLineThroughPatch(patch, 15), 15)
+  })
+
+  test('applies the offset of earlier hunks to lines between hunks', () => {
+    const twoHunks = '@@ -1,1 +1,2 @@\n a\n+inserted\n@@ -20,2 +21,1 @@\n-gone\n b'
+    assert.equal(mapLineThroughPatch(twoHunks, 10), 11)
+    assert.equal(mapLineThroughPatch(twoHunks, 20), null)
+    assert.equal(mapLineThroughPatch(twoHunks, 21), 21)
+    assert.equal(mapLineThroughPatch(twoHunks, 30), 30)
+  })
+
+  test('treats a zero-length old range as an insertion after the given line', () => {
+    const insertion = '@@ -5,0 +6,2 @@\n+a\n+b'
+    assert.equal(mapLineThroughPatch(insertion, 5), 5)
+    assert.equal(mapLineThroughPatch(insertion, 6), 8)
+  })
+})
+
+describe('carryForwardFindings', () => {
+  test('keeps findings in files the new commits did not touch', () => {
+    const carried = carryForwardFindings([issue('other.js', 3)], [{ filename: 'a.js', status: 'modified', patch }])
+    assert.deepEqual(carried, [issue('other.js', 3)])
+  })
+
+  test('moves findings on unchanged lines and drops findings on changed or deleted lines', () => {
+    const carried = carryForwardFindings(
+      [issue('a.js', 12, 'kept'), issue('a.js', 11, 'changed'), issue('a.js', 13, 'deleted')],
+      [{ filename: 'a.js', status: 'modified', patch }],
+    )
+    assert.deepEqual(carried, [issue('a.js', 13, 'kept')])
+  })
+
+  test('drops findings in removed files', () => {
+    assert.deepEqual(carryForwardFindings([issue('a.js', 1)], [{ filename: 'a.js', status: 'removed' }]), [])
+  })
+
+  test('follows a renamed file', () => {
+    const carried = carryForwardFindings(
+      [issue('old.js', 12), issue('old.js', 2)],
+      [{ filename: 'new.js', previous_filename: 'old.js', status: 'renamed', patch }],
+    )
+    assert.deepEqual(carried, [issue('new.js', 13), issue('new.js', 2)])
+  })
+
+  test('keeps a renamed file finding as is when there is no patch or line', () => {
+    const carried = carryForwardFindings(
+      [issue('old.js', 7), issue('old.js', null)],
+      [{ filename: 'new.js', previous_filename: 'old.js', status: 'renamed' }],
+    )
+    assert.deepEqual(carried, [issue('new.js', 7), issue('new.js', null)])
+  })
+})
+
+describe('getIncrementalChanges', () => {
+  const previousState = { headSha: 'old' }
+  const compareWith = result => ({
+    repos: {
+      compareCommitsWithBasehead: async () => {
+        if (result instanceof Error) throw result
+        return { data: result }
+      },
+    },
+  })
+
+  test('returns the compare files when the previous head is an ancestor', async () => {
+    const octo = compareWith({ status: 'ahead', total_commits: 2, files: [{ filename: 'a.js' }] })
+    const { changes, reason } = await getIncrementalChanges(octo, { owner: 'o', repo: 'r', previousState, headSha: 'new' })
+    assert.deepEqual(changes, { baseSha: 'old', headSha: 'new', commits: 2, files: [{ filename: 'a.js' }] })
+    assert.equal(reason, null)
+  })
+
+  test('asks for a full review without a reason when there is nothing to compare', async () => {
+    const octo = compareWith(new Error('not called'))
+    assert.deepEqual(await getIncrementalChanges(octo, { owner: 'o', repo: 'r', previousState: null, headSha: 'new' }), {
+      changes: null,
+      reason: null,
+    })
+    assert.deepEqual(await getIncrementalChanges(octo, { owner: 'o', repo: 'r', previousState, headSha: 'old' }), {
+      changes: null,
+      reason: null,
+    })
+  })
+
+  test('explains a full review after a force push or a failed compare', async () => {
+    const diverged = await getIncrementalChanges(compareWith({ status: 'diverged' }), {
+      owner: 'o',
+      repo: 'r',
+      previousState,
+      headSha: 'new',
+    })
+    assert.equal(diverged.changes, null)
+    assert.match(diverged.reason, /is diverged/)
+
+    const failed = await getIncrementalChanges(compareWith(new Error('boom')), { owner: 'o', repo: 'r', previousState, headSha: 'new' })
+    assert.equal(failed.changes, null)
+    assert.equal(failed.error.message, 'boom')
+  })
+})
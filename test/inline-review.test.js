@@ -0,0 +1,98 @@
+import assert from 'node:assert/strict'
+import { describe, test } from 'node:test'
+import { planInlineComments, verifySuggestedFix } from '../src/inline-review.js'
+import { parsePatchRightSide } from '../src/patch.js'
+
+// New lines 10-13 in the first hunk (line 11 replaces a deleted line), new lines 30-31 in the second
+const patch = [
+  '@@ -10,3 +10,4 @@ function f() {',
+  '   const a = 1',
+  '-  const b = 2',
+  '+  const b = 3',
+  '+  const c = a + b',
+  '   return c',
+  '@@ -28,2 +30,2 @@ function g() {',
+  '   let x = 0',
+  '+  x += 1',
+].join('\n')
+const rightSide = parsePatchRightSide(patch)
+
+function fix(start_line, end_line, original_code, replacement_code) {
+  return { start_line, end_line, original_code, replacement_code }
+}
+
+describe('verifySuggestedFix', () => {
+  test('accepts a fix whose original code matches the new lines exactly', () => {
+    assert.deepEqual(verifySuggestedFix(fix(11, 12, '  const b = 3\n  const c = a + b\n', '  const c = a + 3\n'), rightSide), {
+      start_line: 11,
+      end_line: 12,
+      replacement: '  const c = a + 3',
+    })
+  })
+
+  test('ignores trailing whitespace and CRLF line endings when comparing', () => {
+    assert.deepEqual(verifySuggestedFix(fix(11, 11, '  const b = 3  \r\n', '  const b = 4\r\n'), rightSide), {
+      start_line: 11,
+      end_line: 11,
+      replacement: '  const b = 4',
+    })
+  })
+
+  test('rejects a fix whose original code does not match', () => {
+    assert.equal(verifySuggestedFix(fix(11, 11, '  const b = 2', '  const b = 4'), rightSide), null)
+    assert.equal(verifySuggestedFix(fix(11, 12, '  const b = 3', '  const b = 4'), rightSide), null)
+    assert.equal(verifySuggestedFix(fix(11, 11, 'const b = 3', 'const b = 4'), rightSide), null)
+  })
+
+  test('rejects a fix spanning more than one hunk', () => {
+    assert.equal(verifySuggestedFix(fix(13, 30, '  return c\n  let x = 0', '  return x'), rightSide), null)
+  })
+
+  test('rejects a fix that quotes a deleted line or reaches outside the diff', () => {
+    assert.equal(verifySuggestedFix(fix(11, 11, '  const b = 2', '  const b = 5'), rightSide), null)
+    assert.equal(verifySuggestedFix(fix(10, 11, '  const a = 1\n  const b = 2', '  const a = 2'), rightSide), null)
+    assert.equal(verifySuggestedFix(fix(14, 14, 'anything', 'else'), rightSide), null)
+  })
+
+  test('rejects a fix that changes nothing, an invalid range or a range over the line limit', () => {
+    assert.equal(verifySuggestedFix(fix(11, 11, '  const b = 3', '  const b = 3\n'), rightSide), null)
+    assert.equal(verifySuggestedFix(fix(12, 11, '  const b = 3', 'x'), rightSide), null)
+    assert.equal(verifySuggestedFix(fix(0, 1, 'x', 'y'), rightSide), null)
+    assert.equal(verifySuggestedFix(fix(1, 51, 'x', 'y'), parsePatchRightSide(`@@ -0,0 +1,51 @@\n${'+x\n'.repeat(51)}`)), null)
+    assert.equal(verifySuggestedFix(null, rightSide), null)
+    assert.equal(verifySuggestedFix(fix(11, 11, '  const b = 3', 'x'), undefined), null)
+  })
+})
+
+describe('planInlineComments', () => {
+  const issue = (extra = {}) => ({ file: 'a.js', line: 12, severity: 'high', title: 'Bug', detail: 'd', suggestion: '', ...extra })
+
+  test('anchors a verified fix to its range and adds a suggestion block', () => {
+    const { comments, droppedFixes } = planInlineComments(
+      [issue({ fix: fix(11, 12, '  const b = 3\n  const c = a + b', '  const c = a + 3') })],
+      [{ filename: 'a.js', patch }],
+    )
+    assert.equal(droppedFixes, 0)
+    assert.equal(comments[0].start_line, 11)
+    assert.equal(comments[0].line, 12)
+    assert.match(comments[0].body, /```suggestion\n {2}const c = a \+ 3\n```/)
+  })
+
+  test('drops a fix that does not match but keeps the comment on the reported line', () => {
+    const { comments, droppedFixes } = planInlineComments(
+      [issue({ file: 'b/a.js', fix: fix(11, 11, 'wrong', 'right') })],
+      [{ filename: 'a.js', patch }],
+    )
+    assert.equal(droppedFixes, 1)
+    assert.equal(comments[0].path, 'a.js')
+    assert.equal(comments[0].line, 12)
+    assert.equal(comments[0].start_line, undefined)
+    assert.doesNotMatch(comments[0].body, /suggestion\n/)
+  })
+
+  test('leaves findings outside the diff for the summary', () => {
+    const { comments, unanchored } = planInlineComments([issue({ line: 20 })], [{ filename: 'a.js', patch }])
+    assert.equal(comments.length, 0)
+    assert.equal(unanchored.length, 1)
+  })
+})
@@ -0,0 +1,58 @@
+import assert from 'node:assert/strict'
+import { describe, test } from 'node:test'
+import { isBlockingForPasses, mergePassReviews, resolveReviewPasses, tagReviewWithPass } from '../src/passes.js'
+
+const failOn = new Set(['high', 'critical', 'security'])
+const passes = resolveReviewPasses(['security', { name: 'performance', fail_on_severity: ['critical'] }])
+
+function issue(severity, tags = [], extra = {}) {
+  return { file: 'a.js', line: 3, severity, title: 'Unbounded query', detail: 'd', suggestion: '', tags, fix: null, ...extra }
+}
+
+describe('isBlockingForPasses', () => {
+  test('uses the global policy for findings no pass reported', () => {
+    assert.equal(isBlockingForPasses(issue('high'), passes, failOn), true)
+    assert.equal(isBlockingForPasses(issue('medium'), passes, failOn), false)
+  })
+
+  test('uses the global policy for a pass without its own', () => {
+    assert.equal(isBlockingForPasses(issue('high', ['pass:security']), passes, failOn), true)
+    assert.equal(isBlockingForPasses(issue('low', ['pass:security']), passes, failOn), false)
+  })
+
+  test("uses a pass's own policy when it has one", () => {
+    assert.equal(isBlockingForPasses(issue('high', ['pass:performance']), passes, failOn), false)
+    assert.equal(isBlockingForPasses(issue('critical', ['pass:performance']), passes, failOn), true)
+  })
+
+  test('blocks a merged finding when any pass that reported it would', () => {
+    assert.equal(isBlockingForPasses(issue('high', ['pass:performance', 'pass:security']), passes, failOn), true)
+    assert.equal(isBlockingForPasses(issue('medium', ['pass:performance', 'pass:security']), passes, failOn), false)
+  })
+})
+
+describe('mergePassReviews', () => {
+  const result = (name, issues, overall_risk = 'low') => {
+    const pass = passes.find(candidate => candidate.name === name)
+    return { pass, review: tagReviewWithPass({ summary: `${name} ok`, overall_risk, issues }, pass) }
+  }
+
+  test('merges one root cause reported by two passes and keeps the most severe copy', () => {
+    const merged = mergePassReviews([
+      result('security', [issue('medium')], 'medium'),
+      result('performance', [issue('high', [], { title: 'unbounded query' })], 'high'),
+    ])
+    assert.equal(merged.issues.length, 1)
+    assert.equal(merged.issues[0].severity, 'high')
+    assert.deepEqual(merged.issues[0].tags.sort(), ['pass:performance', 'pass:security'])
+    assert.equal(merged.overall_risk, 'high')
+  })
+
+  test('never merges findings of the same pass', () => {
+    const merged = mergePassReviews([
+      result('security', [issue('high'), issue('medium', [], { title: 'Unbounded query' })]),
+      result('performance', []),
+    ])
+    assert.equal(merged.issues.length, 2)
+  })
+})
@@ -0,0 +1,114 @@
+import assert from 'node:assert/strict'
+import fs from 'node:fs'
+import os from 'node:os'
+import path from 'node:path'
+import { after, describe, test } from 'node:test'
+import {
+  MAX_PR_ARTIFACT_BYTES,
+  readPullRequestArtifact,
+  verifyPullRequestArtifact,
+  writePullRequestArtifact,
+} from '../src/pr-artifact.js'
+
+const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'pr-artifact-'))
+after(() => fs.rmSync(dir, { recursive: true, force: true }))
+
+const HEAD = 'a'.repeat(40)
+const files = [{ filename: 'src/a.js', status: 'modified', patch: '@@ -1 +1 @@\n-a\n+b', additions: 1 }]
+const pr = {
+  number: 7,
+  head: { sha: HEAD, ref: 'feature', repo: { full_name: 'fork/repo' } },
+  base: { sha: 'b'.repeat(40) },
+}
+const workflowRun = {
+  event: 'pull_request',
+  head_sha: HEAD,
+  head_branch: 'feature',
+  head_repository: { full_name: 'fork/repo' },
+  pull_requests: [],
+}
+
+function writeJson(name, value) {
+  const file = path.join(dir, name)
+  fs.writeFileSync(file, typeof value === 'string' ? value : JSON.stringify(value))
+  return file
+}
+
+describe('readPullRequestArtifact', () => {
+  test('reads back what the collect stage wrote', () => {
+    const file = path.join(dir, 'collect/pull-request.json')
+    const written = writePullRequestArtifact(file, { repository: 'owner/repo', pr, files })
+    assert.deepEqual(readPullRequestArtifact(file), written)
+    assert.deepEqual(written.files, [{ filename: 'src/a.js', status: 'modified', patch: '@@ -1 +1 @@\n-a\n+b' }])
+  })
+
+  test('rejects a missing, malformed or invalid artifact', () => {
+    assert.throws(() => readPullRequestArtifact(path.join(dir, 'missing.json')), /not found/)
+    assert.throws(() => readPullRequestArtifact(writeJson('broken.json', '{"version": 1,')), /Could not parse/)
+    const valid = { version: 1, repository: 'owner/repo', number: 7, headSha: HEAD, files: [] }
+    for (const invalid of [
+      { ...valid, version: 2 },
+      { ...valid, number: '7' },
+      { ...valid, number: 0 },
+      { ...valid, headSha: 'main' },
+      { ...valid, files: [{ patch: 'x' }] },
+      [],
+    ]) {
+      assert.throws(() => readPullRequestArtifact(writeJson('invalid.json', invalid)), /Invalid pull request artifact/)
+    }
+  })
+
+  test('rejects an oversized artifact without reading it', () => {
+    const file = path.join(dir, 'huge.json')
+    fs.writeFileSync(file, '')
+    fs.truncateSync(file, MAX_PR_ARTIFACT_BYTES + 1)
+    assert.throws(() => readPullRequestArtifact(file), /over the limit/)
+  })
+})
+
+describe('verifyPullRequestArtifact', () => {
+  const artifact = { version: 1, repository: 'owner/repo', number: 7, headSha: HEAD, files }
+  const verify = (overrides = {}) =>
+    verifyPullRequestArtifact(overrides.artifact || artifact, {
+      repository: 'owner/repo',
+      workflowRun: { ...workflowRun, ...overrides.workflowRun },
+      pr: overrides.pr || pr,
+      files: overrides.files || files,
+    })
+
+  test('accepts an artifact that matches the run and the pull request', () => {
+    assert.equal(verify(), null)
+    assert.equal(verify({ workflowRun: { pull_requests: [{ number: 7 }] } }), null)
+  })
+
+  test('rejects an artifact from another event or repository', () => {
+    assert.throws(() => verify({ workflowRun: { event: 'push' } }), /must come from a pull_request run, not push/)
+    assert.throws(() => verify({ artifact: { ...artifact, repository: 'other/repo' } }), /is for other\/repo/)
+  })
+
+  test('rejects a pull request number the run was not for', () => {
+    assert.throws(() => verify({ workflowRun: { pull_requests: [{ number: 8 }] } }), /is for #7, but the workflow run was for #8/)
+  })
+
+  test('rejects a pull request whose head branch is not the run head, as for a fork run', () => {
+    const other = { ...pr, head: { ...pr.head, ref: 'other-branch' } }
+    assert.throws(() => verify({ pr: other }), /head fork\/repo:other-branch is not the head fork\/repo:feature/)
+    const otherFork = { ...pr, head: { ...pr.head, repo: { full_name: 'someone/repo' } } }
+    assert.throws(() => verify({ pr: otherFork }), /is not the head/)
+  })
+
+  test('rejects a head commit that does not match the run', () => {
+    assert.throws(() => verify({ workflowRun: { head_sha: 'c'.repeat(40) } }), /does not match the head commit of the workflow run/)
+  })
+
+  test('reports a pull request that has moved on since the run', () => {
+    const moved = { ...pr, head: { ...pr.head, sha: 'd'.repeat(40) } }
+    assert.match(verify({ pr: moved }), /pull request #7 has moved on to ddddddd since aaaaaaa/)
+  })
+
+  test('rejects a diff that does not match the pull request', () => {
+    assert.throws(() => verify({ files: [{ ...files[0], patch: '@@ -1 +1 @@\n-a\n+c' }] }), /diff does not match pull request #7 \(src\/a.js\)/)
+    assert.throws(() => verify({ files: [...files, { filename: 'b.js', status: 'added', patch: '+x' }] }), /\(b.js\)/)
+    assert.throws(() => verify({ files: [] }), /diff does not match/)
+  })
+})
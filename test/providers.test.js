@@ -0,0 +1,251 @@
+import assert from 'node:assert/strict'
+import http from 'node:http'
+import { after, before, beforeEach, describe, test } from 'node:test'
+import { createProvider } from '../src/providers/index.js'
+
+const schema = {
+  type: 'object',
+  additionalProperties: false,
+  required: ['summary'],
+  properties: { summary: { type: 'string' } },
+}
+const request = {
+  model: 'test-model',
+  instructions: 'Review the diff.',
+  input: 'diff --git a/x.js b/x.js',
+  schema,
+  schemaName: 'ai_code_review',
+  maxOutputTokens: 100,
+  reasoningEffort: 'low',
+}
+
+// A local stand-in for the model APIs: each request gets the next queued reply ({ status, body, headers })
+let server
+let baseUrl
+let requests
+let replies
+
+before(async () => {
+  server = http.createServer((req, res) => {
+    let raw = ''
+    req.on('data', chunk => {
+      raw += chunk
+    })
+    req.on('end', () => {
+      requests.push({ method: req.method, url: req.url, headers: req.headers, body: raw ? JSON.parse(raw) : null })
+      const reply = replies.shift() || { status: 500, body: { error: { message: 'no reply queued' } } }
+      res.writeHead(reply.status || 200, { 'content-type': 'application/json', ...reply.headers })
+      res.end(JSON.stringify(reply.body))
+    })
+  })
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve))
+  baseUrl = `http://127.0.0.1:${server.address().port}`
+})
+
+after(() => new Promise(resolve => server.close(resolve)))
+
+beforeEach(() => {
+  requests = []
+  replies = []
+})
+
+function chatCompletion(message, usage = { prompt_tokens: 12, completion_tokens: 5 }) {
+  return {
+    id: 'chatcmpl-1',
+    object: 'chat.completion',
+    created: 0,
+    model: 'test-model',
+    choices: [{ index: 0, finish_reason: message.tool_calls ? 'tool_calls' : 'stop', message: { role: 'assistant', ...message } }],
+    usage,
+  }
+}
+
+function openAIResponse(text) {
+  return {
+    id: 'resp_1',
+    object: 'response',
+    status: 'completed',
+    model: 'test-model',
+    output: [{ type: 'message', id: 'msg_1', role: 'assistant', status: 'completed', content: [{ type: 'output_text', text, annotations: [] }] }],
+    usage: { input_tokens: 20, output_tokens: 7, output_tokens_details: { reasoning_tokens: 3 } },
+  }
+}
+
+describe('openai provider', () => {
+  test('sends instructions and a strict JSON schema to the Responses API', async () => {
+    replies.push({ body: openAIResponse('{"summary":"ok"}') })
+    const provider = createProvider('openai', { apiKey: 'sk-test', baseUrl: `${baseUrl}/v1`, retries: 0 })
+
+    const result = await provider.generate(request)
+
+    assert.equal(result.text, '{"summary":"ok"}')
+    assert.deepEqual(result.usage, { inputTokens: 20, outputTokens: 7, reasoningTokens: 3, requests: 1, retries: 0 })
+    const [sent] = requests
+    assert.equal(sent.url, '/v1/responses')
+    assert.equal(sent.headers.authorization, 'Bearer sk-test')
+    assert.equal(sent.body.instructions, request.instructions)
+    assert.equal(sent.body.input, request.input)
+    assert.deepEqual(sent.body.reasoning, { effort: 'low' })
+    assert.deepEqual(sent.body.text.format, { type: 'json_schema', name: 'ai_code_review', strict: true, schema })
+  })
+
+  test('retries without the fast options a model does not accept', async () => {
+    replies.push({ status: 400, body: { error: { message: "Unsupported parameter: 'reasoning.effort' is not supported with this model." } } })
+    replies.push({ body: openAIResponse('{"summary":"ok"}') })
+    const provider = createProvider('openai', { apiKey: 'sk-test', baseUrl: `${baseUrl}/v1`, retries: 0 })
+
+    const result = await provider.generate(request)
+
+    assert.equal(result.text, '{"summary":"ok"}')
+    assert.equal(requests.length, 2)
+    for (const key of ['reasoning', 'max_output_tokens', 'temperature', 'store']) {
+      assert.equal(key in requests[1].body, false, `${key} should be dropped`)
+    }
+    assert.equal(result.usage.retries, 1)
+  })
+
+  test('retries transient server errors', async () => {
+    replies.push({ status: 503, body: { error: { message: 'overloaded' } }, headers: { 'retry-after-ms': '1' } })
+    replies.push({ body: openAIResponse('{"summary":"ok"}') })
+    const provider = createProvider('openai', { apiKey: 'sk-test', baseUrl: `${baseUrl}/v1`, retries: 1 })
+
+    const result = await provider.generate(request)
+
+    assert.equal(result.text, '{"summary":"ok"}')
+    assert.equal(requests.length, 2)
+    assert.equal(result.usage.retries, 1)
+  })
+})
+
+describe('openai-compatible provider', () => {
+  test('sends the instructions as the system message with a JSON schema response format', async () => {
+    replies.push({ body: chatCompletion({ content: '{"summary":"ok"}' }) })
+    const provider = createProvider('openai-compatible', { baseUrl: `${baseUrl}/v1`, retries: 0 })
+
+    const result = await provider.generate(request)
+
+    assert.equal(result.text, '{"summary":"ok"}')
+    assert.deepEqual(result.usage, { inputTokens: 12, outputTokens: 5, reasoningTokens: 0, requests: 1, retries: 0 })
+    const [sent] = requests
+    assert.equal(sent.url, '/v1/chat/completions')
+    assert.deepEqual(sent.body.messages, [
+      { role: 'system', content: request.instructions },
+      { role: 'user', content: request.input },
+    ])
+    assert.deepEqual(sent.body.response_format, {
+      type: 'json_schema',
+      json_schema: { name: 'ai_code_review', strict: true, schema },
+    })
+    assert.equal(sent.body.max_tokens, 100)
+    assert.equal('reasoning_effort' in sent.body, false)
+  })
+
+  test('falls back to JSON mode when the server rejects JSON schema output', async () => {
+    replies.push({ status: 400, body: { error: { message: 'response_format json_schema is not supported' } } })
+    replies.push({ body: chatCompletion({ content: '{"summary":"ok"}' }) })
+    const provider = createProvider('openai-compatible', { baseUrl: `${baseUrl}/v1`, retries: 0 })
+
+    const result = await provider.generate(request)
+
+    assert.equal(result.text, '{"summary":"ok"}')
+    assert.equal(requests.length, 2)
+    const retried = requests[1].body
+    assert.deepEqual(retried.response_format, { type: 'json_object' })
+    assert.equal('temperature' in retried, false)
+    const schemaMessage = retried.messages.at(-1)
+    assert.equal(schemaMessage.role, 'system')
+    assert.match(schemaMessage.content, /matching this JSON schema/)
+    assert.ok(schemaMessage.content.includes(JSON.stringify(schema)))
+    assert.equal(result.usage.retries, 1)
+  })
+
+  test('runs tool calls until the model answers', async () => {
+    replies.push({
+      body: chatCompletion({
+        content: null,
+        tool_calls: [{ id: 'call_1', type: 'function', function: { name: 'read_file', arguments: '{"path":"x.js"}' } }],
+      }),
+    })
+    replies.push({ body: chatCompletion({ content: '{"summary":"ok"}' }) })
+    const provider = createProvider('openai-compatible', { baseUrl: `${baseUrl}/v1`, retries: 0 })
+    const calls = []
+    const tools = {
+      definitions: [{ name: 'read_file', description: 'Read a file', parameters: { type: 'object', properties: {} } }],
+      run: async (name, args) => {
+        calls.push([name, args])
+        return 'file contents'
+      },
+    }
+
+    const result = await provider.generate({ ...request, tools, maxToolSteps: 2 })
+
+    assert.equal(result.text, '{"summary":"ok"}')
+    assert.equal(result.toolSteps, 1)
+    assert.deepEqual(calls, [['read_file', '{"path":"x.js"}']])
+    assert.deepEqual(requests[1].body.messages.at(-1), { role: 'tool', tool_call_id: 'call_1', content: 'file contents' })
+  })
+
+  test('requires a base URL', () => {
+    assert.throws(() => createProvider('openai-compatible', {}), /ai_base_url is required/)
+  })
+})
+
+describe('azure provider', () => {
+  test('calls the deployment with max_completion_tokens and the api-key header', async () => {
+    replies.push({ body: chatCompletion({ content: '{"summary":"ok"}' }) })
+    const provider = createProvider('azure', { apiKey: 'azure-key', baseUrl, apiVersion: '2024-10-21', retries: 0 })
+
+    const result = await provider.generate({ ...request, model: 'my-deployment' })
+
+    assert.equal(result.text, '{"summary":"ok"}')
+    const [sent] = requests
+    assert.equal(sent.url, '/openai/deployments/my-deployment/chat/completions?api-version=2024-10-21')
+    assert.equal(sent.headers['api-key'], 'azure-key')
+    assert.equal(sent.body.max_completion_tokens, 100)
+    assert.equal(sent.body.reasoning_effort, 'low')
+  })
+})
+
+describe('anthropic provider', () => {
+  test('forces the submit tool and returns its input as JSON', async () => {
+    replies.push({
+      body: {
+        id: 'msg_1',
+        type: 'message',
+        role: 'assistant',
+        content: [{ type: 'tool_use', id: 'toolu_1', name: 'ai_code_review', input: { summary: 'ok' } }],
+        usage: { input_tokens: 30, output_tokens: 9, cache_read_input_tokens: 4 },
+      },
+    })
+    const provider = createProvider('anthropic', { apiKey: 'ant-key', baseUrl, retries: 0 })
+
+    const result = await provider.generate(request)
+
+    assert.equal(result.text, '{"summary":"ok"}')
+    assert.deepEqual(result.usage, { inputTokens: 34, outputTokens: 9, reasoningTokens: 0, requests: 1, retries: 0 })
+    const [sent] = requests
+    assert.equal(sent.url, '/v1/messages')
+    assert.equal(sent.headers['x-api-key'], 'ant-key')
+    assert.equal(sent.headers['anthropic-version'], '2023-06-01')
+    assert.equal(sent.body.system, request.instructions)
+    assert.deepEqual(sent.body.messages, [{ role: 'user', content: request.input }])
+    assert.deepEqual(sent.body.tool_choice, { type: 'tool', name: 'ai_code_review' })
+    assert.deepEqual(sent.body.tools, [{ name: 'ai_code_review', description: 'Submit the structured review result.', input_schema: schema }])
+  })
+
+  test('reports API errors with the status and message', async () => {
+    replies.push({ status: 400, body: { type: 'error', error: { type: 'invalid_request_error', message: 'bad model' } } })
+    const provider = createProvider('anthropic', { apiKey: 'ant-key', baseUrl, retries: 2 })
+
+    await assert.rejects(provider.generate(request), { message: 'Anthropic API error 400: bad model', status: 400 })
+    assert.equal(requests.length, 1)
+  })
+
+  test('requires an API key', () => {
+    assert.throws(() => createProvider('anthropic', { baseUrl }), /Missing ai_api_key/)
+  })
+})
+
+test('rejects an unknown provider', () => {
+  assert.throws(() => createProvider('nope', {}), /Unsupported ai_provider "nope"/)
+})
@@ -0,0 +1,95 @@
+import assert from 'node:assert/strict'
+import { describe, test } from 'node:test'
+import { addOctokitRetries, isIdempotentRequest, withRetries } from '../src/retry.js'
+
+// Retry-After of 1 ms keeps the tests fast
+function failure(props) {
+  return Object.assign(new Error('failed'), { headers: { 'retry-after-ms': '1' } }, props)
+}
+
+// Fails with each error in turn, then succeeds; returns how many calls were made
+async function attempts(errors, options) {
+  let calls = 0
+  try {
+    await withRetries(
+      async () => {
+        calls += 1
+        if (calls <= errors.length) throw errors[calls - 1]
+        return 'ok'
+      },
+      { retries: 3, label: 'test', ...options },
+    )
+  } catch {
+    // The call count says whether it was retried
+  }
+  return calls
+}
+
+describe('withRetries', () => {
+  test('retries rate limits, server errors and network failures of idempotent requests', async () => {
+    assert.equal(await attempts([failure({ status: 429 }), failure({ status: 503 })]), 3)
+    assert.equal(await attempts([failure({ name: 'TimeoutError' }), failure({ code: 'ECONNRESET' })]), 3)
+    assert.equal(await attempts([failure({ message: 'fetch failed', cause: { code: 'UND_ERR_SOCKET' } })]), 2)
+  })
+
+  test('does not retry client errors', async () => {
+    assert.equal(await attempts([failure({ status: 400 })]), 1)
+    assert.equal(await attempts([Object.assign(new Error('forbidden'), { status: 403 })]), 1)
+  })
+
+  test('retries a request with side effects only when it was refused or never sent', async () => {
+    const options = { idempotent: false }
+    assert.equal(await attempts([failure({ status: 429 })], options), 2)
+    assert.equal(await attempts([failure({ status: 403, headers: { 'retry-after': '0' } })], options), 2)
+    assert.equal(await attempts([failure({ code: 'ECONNREFUSED' })], options), 2)
+    assert.equal(await attempts([failure({ message: 'fetch failed', cause: { code: 'EAI_AGAIN' } })], options), 2)
+
+    assert.equal(await attempts([failure({ status: 502 })], options), 1)
+    assert.equal(await attempts([failure({ status: 408 })], options), 1)
+    assert.equal(await attempts([failure({ name: 'TimeoutError' })], options), 1)
+    assert.equal(await attempts([failure({ code: 'ECONNRESET' })], options), 1)
+  })
+
+  test('gives up after the configured number of retries', async () => {
+    const errors = Array.from({ length: 5 }, () => failure({ status: 500 }))
+    assert.equal(await attempts(errors), 4)
+  })
+})
+
+describe('isIdempotentRequest', () => {
+  test('treats reads, PUT and DELETE as safe to resend', () => {
+    for (const method of ['GET', 'HEAD', 'PUT', 'DELETE']) {
+      assert.equal(isIdempotentRequest({ method, url: '/repos/{owner}/{repo}' }), true)
+    }
+  })
+
+  test('treats POST and PATCH as having side effects', () => {
+    assert.equal(isIdempotentRequest({ method: 'POST', url: '/repos/{owner}/{repo}/issues/{issue_number}/comments' }), false)
+    assert.equal(isIdempotentRequest({ method: 'PATCH', url: '/repos/{owner}/{repo}/check-runs/{check_run_id}' }), false)
+  })
+
+  test('tells GraphQL queries from mutations', () => {
+    assert.equal(isIdempotentRequest({ method: 'POST', url: '/graphql', query: 'query($id: ID!) { node(id: $id) { id } }' }), true)
+    assert.equal(isIdempotentRequest({ method: 'POST', url: '/api/graphql', query: '{ viewer { login } }' }), true)
+    assert.equal(isIdempotentRequest({ method: 'POST', url: '/graphql', query: ' mutation($id: ID!) { resolveReviewThread }' }), false)
+  })
+})
+
+describe('addOctokitRetries', () => {
+  test('does not resend a POST that timed out', async () => {
+    let wrapper
+    addOctokitRetries({ hook: { wrap: (name, fn) => (wrapper = fn) } }, { retries: 3, timeoutMs: 1000 })
+
+    let calls = 0
+    const request = async () => {
+      calls += 1
+      throw failure({ name: 'TimeoutError' })
+    }
+    await assert.rejects(wrapper(request, { method: 'POST', url: '/repos/o/r/issues/1/comments' }))
+    assert.equal(calls, 1)
+
+    calls = 0
+    await assert.rejects(wrapper(request, { method: 'GET', url: '/repos/o/r/pulls/1' }))
+    assert.equal(calls, 4)
+  })
+})
@@ -0,0 +1,88 @@
+import assert from 'node:assert/strict'
+import { describe, test } from 'node:test'
+import {
+  MAX_STATE_CHARS,
+  buildStateComment,
+  encodeReviewState,
+  parseReviewState,
+  replaceReviewState,
+} from '../src/review-state.js'
+
+const MARKER = '<!-- ai-code-review-bot -->'
+const MAX_COMMENT_CHARS = 60000
+
+function issue(i, detailChars = 50) {
+  return {
+    file: `src/file-${i}.js`,
+    line: i + 1,
+    severity: 'medium',
+    title: `Finding ${i}`,
+    detail: 'x'.repeat(detailChars),
+    suggestion: 'y'.repeat(detailChars),
+    tags: [],
+    fix: { original_code: 'a'.repeat(detailChars), replacement: 'b'.repeat(detailChars) },
+    fingerprint: `fp${i}`,
+  }
+}
+
+describe('review state', () => {
+  test('round-trips through the summary comment', () => {
+    const state = { headSha: 'abc', issues: [issue(1)], ignored: [{ fingerprint: 'fp9' }], resolved: [{ title: 'old' }] }
+    const body = buildStateComment({ marker: MARKER, state: encodeReviewState(state), report: '### report', maxChars: MAX_COMMENT_CHARS })
+    assert.deepEqual(parseReviewState(body), state)
+  })
+
+  test('returns null for a missing or malformed state', () => {
+    assert.equal(parseReviewState('no state here'), null)
+    assert.equal(parseReviewState('<!-- ai-code-review-state:not base64 json -->'), null)
+  })
+
+  test('sheds resolved history, then long text, then findings to stay under the limit', () => {
+    const resolved = Array.from({ length: 100 }, (_, i) => ({ title: `resolved ${i}`, detail: 'r'.repeat(500) }))
+    const issues = Array.from({ length: 100 }, (_, i) => issue(i, 2000))
+    const encoded = encodeReviewState({ headSha: 'abc', issues, ignored: [{ fingerprint: 'keep-me' }], resolved })
+    assert.ok(encoded.length <= MAX_STATE_CHARS, `state is ${encoded.length} characters`)
+
+    const parsed = parseReviewState(encoded)
+    assert.equal(parsed.headSha, 'abc')
+    assert.deepEqual(parsed.ignored, [{ fingerprint: 'keep-me' }])
+    assert.deepEqual(parsed.resolved, [])
+    assert.ok(parsed.issues.length > 0)
+    assert.deepEqual(
+      parsed.issues.map(kept => kept.title),
+      issues.slice(0, parsed.issues.length).map(original => original.title),
+    )
+    assert.equal(parsed.issues[0].fix, null)
+    assert.equal(parsed.issues[0].detail.length, 300)
+  })
+
+  test('keeps a small state untouched', () => {
+    const issues = [issue(1)]
+    assert.deepEqual(parseReviewState(encodeReviewState({ headSha: 'abc', issues })).issues, issues)
+  })
+
+  test('a large state and report still fit in one comment without cutting the state', () => {
+    const issues = Array.from({ length: 100 }, (_, i) => issue(i, 2000))
+    const state = encodeReviewState({ headSha: 'abc', issues })
+    const report = `### 🤖 AI Code Review\n${'- finding line\n'.repeat(10000)}`
+    const body = buildStateComment({ marker: MARKER, state, report, maxChars: MAX_COMMENT_CHARS })
+
+    assert.ok(body.length <= MAX_COMMENT_CHARS, `comment is ${body.length} characters`)
+    assert.ok(body.startsWith(`${MARKER}\n${state}\n`))
+    assert.ok(body.endsWith(MARKER))
+    assert.match(body, /\[Comment truncated for size/)
+    assert.equal(parseReviewState(body).headSha, 'abc')
+  })
+
+  test('replaces only the state block of an existing comment', () => {
+    const body = buildStateComment({
+      marker: MARKER,
+      state: encodeReviewState({ headSha: 'abc', issues: [] }),
+      report: 'visible report',
+      maxChars: MAX_COMMENT_CHARS,
+    })
+    const updated = replaceReviewState(body, { headSha: 'abc', issues: [], ignored: [{ fingerprint: 'fp1' }] })
+    assert.deepEqual(parseReviewState(updated).ignored, [{ fingerprint: 'fp1' }])
+    assert.ok(updated.includes('visible report'))
+  })
+})